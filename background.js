@@ -0,0 +1,100 @@
+// Background service worker - reminders for snoozed reading list items
+//
+// The new tab page keeps snoozes in chrome.storage.local under "readingSnoozes"
+// as { [url]: { until, title, notified } }. This worker keeps one alarm per
+// snooze and shows a notification when it goes off, with or without a new tab
+// open. Alarms can be dropped on a browser restart, so they are rebuilt from
+// storage whenever the worker starts.
+const ALARM_PREFIX = 'reading-snooze:';
+
+// Storage events, alarms and startup can overlap; one task at a time keeps a
+// reminder from being shown twice
+let queue = Promise.resolve();
+function enqueue(task) {
+    queue = queue.then(task).catch(error => console.error('Error handling snooze reminders:', error));
+    return queue;
+}
+
+async function getSnoozes() {
+    const result = await chrome.storage.local.get(['readingSnoozes']);
+    return result.readingSnoozes || {};
+}
+
+// Brings the alarms in line with the stored snoozes
+async function scheduleReminders() {
+    const snoozes = await getSnoozes();
+    const alarms = (await chrome.alarms.getAll()).filter(alarm => alarm.name.startsWith(ALARM_PREFIX));
+    const scheduled = new Map(alarms.map(alarm => [alarm.name.slice(ALARM_PREFIX.length), alarm.scheduledTime]));
+
+    for (const [url, time] of scheduled) {
+        const snooze = snoozes[url];
+        if (!snooze || snooze.notified || snooze.until !== time) {
+            await chrome.alarms.clear(ALARM_PREFIX + url);
+            scheduled.delete(url);
+        }
+    }
+
+    for (const [url, snooze] of Object.entries(snoozes)) {
+        if (snooze.notified || scheduled.has(url)) continue;
+
+        if (snooze.until <= Date.now()) {
+            // Came due while the browser was closed
+            await remind(url);
+        } else {
+            await chrome.alarms.create(ALARM_PREFIX + url, { when: snooze.until });
+        }
+    }
+}
+
+async function remind(url) {
+    const snoozes = await getSnoozes();
+    const snooze = snoozes[url];
+    if (!snooze || snooze.notified) return;
+
+    let site = url;
+    try {
+        site = new URL(url).hostname;
+    } catch {
+        // Not a URL we can shorten; show it as it is
+    }
+
+    await chrome.notifications.create(ALARM_PREFIX + url, {
+        type: 'basic',
+        iconUrl: 'icons/icon128.png',
+        title: 'Back on your reading list',
+        message: snooze.title || url,
+        contextMessage: site,
+        priority: 1
+    });
+
+    snoozes[url] = { ...snooze, notified: true };
+    await chrome.storage.local.set({ readingSnoozes: snoozes });
+}
+
+chrome.runtime.onInstalled.addListener(() => enqueue(scheduleReminders));
+chrome.runtime.onStartup.addListener(() => enqueue(scheduleReminders));
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && changes.readingSnoozes) enqueue(scheduleReminders);
+});
+
+chrome.alarms.onAlarm.addListener(alarm => {
+    if (alarm.name.startsWith(ALARM_PREFIX)) enqueue(() => remind(alarm.name.slice(ALARM_PREFIX.length)));
+});
+
+// Opening the item from the notification counts as dealing with the reminder
+chrome.notifications.onClicked.addListener(notificationId => {
+    if (!notificationId.startsWith(ALARM_PREFIX)) return;
+
+    const url = notificationId.slice(ALARM_PREFIX.length);
+    enqueue(async () => {
+        await chrome.tabs.create({ url });
+        await chrome.notifications.clear(notificationId);
+
+        const snoozes = await getSnoozes();
+        if (snoozes[url]) {
+            delete snoozes[url];
+            await chrome.storage.local.set({ readingSnoozes: snoozes });
+        }
+    });
+});
@@ -0,0 +1,234 @@
+// Article extractor module - the readable part of a web page
+//
+// Picks the element holding the article (an <article> or <main> with enough
+// text, otherwise the block with the most paragraph text) and copies it into
+// plain markup: headings, paragraphs, lists, quotes, code, tables, links and
+// images. Everything else - scripts, styles, event handlers, navigation,
+// sidebars, forms - is left behind, so the copy is safe to show in the extension.
+export class ArticleExtractor {
+    constructor() {
+        this.keptTags = new Set([
+            'p', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'ul', 'ol', 'li', 'dl', 'dt', 'dd',
+            'blockquote', 'pre', 'code', 'em', 'i', 'strong', 'b', 'u', 's', 'sub', 'sup',
+            'mark', 'small', 'br', 'hr', 'a', 'img', 'figure', 'figcaption',
+            'table', 'thead', 'tbody', 'tfoot', 'tr', 'th', 'td', 'caption'
+        ]);
+        this.droppedTags = new Set([
+            'script', 'style', 'noscript', 'template', 'iframe', 'object', 'embed', 'canvas',
+            'svg', 'form', 'button', 'input', 'select', 'textarea', 'nav', 'aside', 'footer',
+            'link', 'meta', 'head', 'audio', 'video'
+        ]);
+        // Wrappers that become a paragraph when they hold text of their own
+        this.blockTags = new Set(['div', 'section', 'article', 'main', 'header', 'center', 'details', 'summary']);
+        this.keptAttributes = {
+            a: ['href', 'title'],
+            img: ['src', 'alt', 'title', 'width', 'height'],
+            th: ['colspan', 'rowspan'],
+            td: ['colspan', 'rowspan']
+        };
+        this.junkPattern = /comment|sidebar|share|social|promo|related|advert|sponsor|cookie|newsletter|subscribe|popup|modal|breadcrumb|menu|footer|masthead/i;
+        this.minArticleLength = 250;
+    }
+
+    // doc is a parsed page (DOMParser); url is where it came from, for relative links
+    extract(doc, url) {
+        const baseUrl = this.getBaseUrl(doc, url);
+        const title = this.getTitle(doc);
+        const root = this.findContent(doc);
+
+        // Built in a document of its own, so images don't start loading before
+        // the snapshot decides which of them to keep
+        const content = document.implementation.createHTMLDocument('').createElement('div');
+        this.copyChildren(root, content, baseUrl);
+        this.removeLeadingTitle(content, title);
+
+        return {
+            title,
+            siteName: this.getMeta(doc, 'og:site_name') || this.getHostname(url),
+            byline: this.getMeta(doc, 'author') || doc.querySelector('[rel="author"], .byline, .author')?.textContent.trim() || '',
+            excerpt: this.getMeta(doc, 'og:description') || this.getMeta(doc, 'description') ||
+                content.querySelector('p')?.textContent.trim().slice(0, 200) || '',
+            content
+        };
+    }
+
+    getBaseUrl(doc, url) {
+        const base = doc.querySelector('base[href]')?.getAttribute('href');
+        try {
+            return base ? new URL(base, url).href : url;
+        } catch {
+            return url;
+        }
+    }
+
+    getTitle(doc) {
+        return this.getMeta(doc, 'og:title') ||
+            doc.querySelector('article h1, main h1, h1')?.textContent.trim() ||
+            doc.title.trim() ||
+            'Untitled';
+    }
+
+    getMeta(doc, name) {
+        const meta = doc.querySelector(`meta[property="${name}"], meta[name="${name}"]`);
+        return meta?.getAttribute('content')?.trim() || '';
+    }
+
+    getHostname(url) {
+        try {
+            return new URL(url).hostname;
+        } catch {
+            return '';
+        }
+    }
+
+    findContent(doc) {
+        const body = doc.body || doc.documentElement;
+        const marked = [...body.querySelectorAll('article, main, [role="main"], [itemprop="articleBody"]')]
+            .filter(element => this.getTextLength(element) >= this.minArticleLength)
+            .sort((a, b) => this.getTextLength(b) - this.getTextLength(a));
+        // The innermost marked element with most of the text, e.g. <article> inside <main>
+        const best = marked.find(element => marked.every(other =>
+            other === element || !element.contains(other) || this.getTextLength(other) < this.getTextLength(element) * 0.8));
+        return best || this.findDensestBlock(body) || body;
+    }
+
+    // Scores each paragraph's parent by the text it holds; the grandparent gets half
+    findDensestBlock(body) {
+        const scores = new Map();
+        body.querySelectorAll('p, pre, blockquote').forEach(paragraph => {
+            const length = paragraph.textContent.trim().length;
+            if (length < 25 || this.isJunk(paragraph)) return;
+
+            const parent = paragraph.parentElement;
+            const grandparent = parent?.parentElement;
+            if (parent) scores.set(parent, (scores.get(parent) || 0) + length);
+            if (grandparent) scores.set(grandparent, (scores.get(grandparent) || 0) + length / 2);
+        });
+
+        let best = null;
+        let bestScore = 0;
+        scores.forEach((score, element) => {
+            if (score > bestScore) {
+                best = element;
+                bestScore = score;
+            }
+        });
+        return best;
+    }
+
+    getTextLength(element) {
+        return element.textContent.replace(/\s+/g, ' ').trim().length;
+    }
+
+    // Inside a comment section, sidebar or similar
+    isJunk(element) {
+        for (let node = element; node && node.tagName !== 'BODY'; node = node.parentElement) {
+            if (this.isJunkBlock(node)) return true;
+        }
+        return false;
+    }
+
+    isHidden(element) {
+        return element.hidden ||
+            element.getAttribute('aria-hidden') === 'true' ||
+            /display\s*:\s*none|visibility\s*:\s*hidden/i.test(element.getAttribute('style') || '');
+    }
+
+    copyChildren(source, target, baseUrl) {
+        source.childNodes.forEach(node => this.copyNode(node, target, baseUrl));
+    }
+
+    copyNode(node, target, baseUrl) {
+        if (node.nodeType === Node.TEXT_NODE) {
+            target.appendChild(target.ownerDocument.createTextNode(node.textContent));
+            return;
+        }
+        if (node.nodeType !== Node.ELEMENT_NODE) return;
+
+        const tag = node.tagName.toLowerCase();
+        if (this.droppedTags.has(tag) || this.isHidden(node)) return;
+        if (tag !== 'img' && this.isJunkBlock(node)) return;
+
+        // Wrappers like <div> and <span> are dropped but their content is kept
+        if (!this.keptTags.has(tag)) {
+            const hasText = [...node.childNodes].some(child => child.nodeType === Node.TEXT_NODE && child.textContent.trim());
+            if (this.blockTags.has(tag) && hasText) {
+                const paragraph = target.ownerDocument.createElement('p');
+                this.copyChildren(node, paragraph, baseUrl);
+                target.appendChild(paragraph);
+            } else {
+                this.copyChildren(node, target, baseUrl);
+            }
+            return;
+        }
+
+        const element = target.ownerDocument.createElement(tag);
+        if (!this.copyAttributes(node, element, tag, baseUrl)) return;
+        if (tag !== 'pre') {
+            this.copyChildren(node, element, baseUrl);
+        } else {
+            element.textContent = node.textContent;
+        }
+        target.appendChild(element);
+    }
+
+    isJunkBlock(element) {
+        const name = `${element.id} ${element.getAttribute('class') || ''}`;
+        return this.junkPattern.test(name) && !/article|content|main|body|post/i.test(name);
+    }
+
+    // Returns false when the element isn't worth keeping, e.g. an image without a usable source
+    copyAttributes(source, element, tag, baseUrl) {
+        (this.keptAttributes[tag] || []).forEach(name => {
+            const value = source.getAttribute(name);
+            if (value !== null && name !== 'href' && name !== 'src') element.setAttribute(name, value);
+        });
+
+        if (tag === 'a') {
+            const href = this.resolveUrl(source.getAttribute('href'), baseUrl, ['http:', 'https:', 'mailto:']);
+            if (href) {
+                element.href = href;
+                element.target = '_blank';
+                element.rel = 'noopener noreferrer';
+            }
+        }
+
+        if (tag === 'img') {
+            const src = this.resolveUrl(this.getImageSource(source), baseUrl, ['http:', 'https:', 'file:', 'data:']);
+            if (!src || (src.startsWith('data:') && !src.startsWith('data:image/'))) return false;
+            element.loading = 'lazy';
+            element.src = src;
+        }
+        return true;
+    }
+
+    // Lazy-loading pages keep the real image in a data attribute or srcset
+    getImageSource(img) {
+        const srcset = img.getAttribute('srcset') || img.getAttribute('data-srcset');
+        const candidates = [
+            img.getAttribute('data-src'),
+            img.getAttribute('data-lazy-src'),
+            img.getAttribute('data-original'),
+            img.getAttribute('src'),
+            srcset?.split(',')[0]?.trim().split(/\s+/)[0]
+        ];
+        // A 1px placeholder is often in src while the real image waits in data-src
+        return candidates.find(value => value && !value.startsWith('data:image/gif')) || '';
+    }
+
+    resolveUrl(value, baseUrl, protocols) {
+        if (!value) return null;
+        try {
+            const url = new URL(value.trim(), baseUrl);
+            return protocols.includes(url.protocol) ? url.href : null;
+        } catch {
+            return null;
+        }
+    }
+
+    // The reader shows the title itself
+    removeLeadingTitle(content, title) {
+        const heading = content.querySelector('h1');
+        if (heading && heading.textContent.trim() === title) heading.remove();
+    }
+}
@@ -1,9 +1,40 @@
 // Bookmark management module
+import { FuzzySearch } from './fuzzy-search.js';
+import { NetscapeBookmarkFormat } from './netscape-format.js';
+import { UrlNormalizer } from './url-normalizer.js';
+
 export class BookmarkManager {
-    constructor() {
+    constructor(storage = null, notes = null) {
         this.chromeBookmarks = [];
         this.folders = [];
+        
+        // Ordered { id, url, title } entries; url and title are kept so a favorite whose
+        // bookmark disappears can be re-matched or at least named for cleanup
         this.favorites = [];
+        this.search = new FuzzySearch();
+        this.netscape = new NetscapeBookmarkFormat();
+        this.urls = new UrlNormalizer();
+        
+        // Notes are searched and exported along with the bookmarks they belong to
+        this.notes = notes;
+        
+        // Live sync state
+        this.changeListeners = new Set();
+        this.chromeEventHandlers = {};
+        this.changeNotificationTimer = null;
+        this.isImporting = false;
+        this.isBatching = false;
+        this.hasBatchedChanges = false;
+        
+        // Favorites follow the user across devices when sync is on. Ids differ per device, and URLs
+        // and titles can differ slightly for the same page, so only the normalized URL syncs
+        this.storage = storage;
+        this.storage?.register('favorites', {
+            merge: 'list',
+            identify: favorite => this.getSyncUrl(favorite.url),
+            read: () => this.favorites.map(({ url }) => ({ url: this.getSyncUrl(url) })),
+            apply: synced => this.applySyncedFavorites(synced)
+        });
     }
 
     async load() {
@@ -11,6 +42,7 @@ export class BookmarkManager {
             this.loadChromeBookmarks(),
             this.loadFavorites()
         ]);
+        this.reconcileFavorites();
     }
 
     async loadChromeBookmarks() {
@@ -20,9 +52,7 @@ export class BookmarkManager {
             this.folders = [];
 
             this.traverseBookmarksTree(bookmarkTree);
-            
-            // FIX: Sort folders alphabetically by title
-            this.folders.sort((a, b) => a.title.localeCompare(b.title));
+            this.sortFolders();
 
             console.log(`Loaded ${this.chromeBookmarks.length} bookmarks and ${this.folders.length} folders`);
         } catch (error) {
@@ -30,77 +60,388 @@ export class BookmarkManager {
         }
     }
 
-    traverseBookmarksTree(nodes) {
+    traverseBookmarksTree(nodes, parentFolder = null) {
         nodes.forEach(node => {
             if (node.children) {
-                // This is a folder
-                if (node.title && !['0', '1', '2'].includes(node.id)) {
-                    const bookmarksInFolder = [];
-                    this.collectBookmarksFromFolder(node.children, bookmarksInFolder);
-                    
-                    this.folders.push({
-                        id: node.id,
-                        title: node.title,
-                        children: bookmarksInFolder,
-                        parentId: node.parentId
-                    });
+                // This is a folder (the invisible root node has no title)
+                let folder = null;
+                if (node.title) {
+                    folder = this.createFolderEntry(node);
+                    this.folders.push(folder);
                 }
-                this.traverseBookmarksTree(node.children);
+                this.traverseBookmarksTree(node.children, folder);
             } else if (node.url) {
-                // This is a bookmark
-                this.chromeBookmarks.push({
-                    id: node.id,
-                    title: node.title,
-                    url: node.url,
-                    parentId: node.parentId
-                });
+                // This is a bookmark, shared between the flat list and its folder
+                const bookmark = this.createBookmarkEntry(node);
+                this.chromeBookmarks.push(bookmark);
+                parentFolder?.children.push(bookmark);
             }
         });
     }
 
-    collectBookmarksFromFolder(children, bookmarksArray) {
-        children.forEach(child => {
-            if (child.url) {
-                bookmarksArray.push({
-                    id: child.id,
-                    title: child.title,
-                    url: child.url,
-                    parentId: child.parentId
-                });
-            } else if (child.children) {
-                this.collectBookmarksFromFolder(child.children, bookmarksArray);
+    createBookmarkEntry(node) {
+        return {
+            id: node.id,
+            title: node.title,
+            url: node.url,
+            parentId: node.parentId,
+            index: node.index,
+            dateAdded: node.dateAdded
+        };
+    }
+
+    createFolderEntry(node) {
+        return {
+            id: node.id,
+            title: node.title,
+            parentId: node.parentId,
+            index: node.index,
+            children: []
+        };
+    }
+
+    // The folder list is shown A-Z by title, not in bookmark tree order
+    sortFolders() {
+        this.folders.sort((a, b) => a.title.localeCompare(b.title));
+    }
+
+    // Live sync - apply chrome.bookmarks events to the in-memory model
+    startLiveSync() {
+        if (!chrome.bookmarks?.onCreated) return;
+
+        this.chromeEventHandlers = {
+            onCreated: (id, node) => !this.isImporting && this.applyCreated(node),
+            onRemoved: (id, removeInfo) => !this.isImporting && this.applyRemoved(id, removeInfo),
+            onChanged: (id, changeInfo) => !this.isImporting && this.applyChanged(id, changeInfo),
+            onMoved: (id, moveInfo) => !this.isImporting && this.applyMoved(id, moveInfo),
+            onChildrenReordered: (id, reorderInfo) => !this.isImporting && this.applyChildrenReordered(id, reorderInfo),
+            onImportBegan: () => { this.isImporting = true; },
+            onImportEnded: () => this.handleImportEnded()
+        };
+
+        Object.entries(this.chromeEventHandlers).forEach(([event, handler]) => {
+            chrome.bookmarks[event]?.addListener(handler);
+        });
+    }
+
+    stopLiveSync() {
+        Object.entries(this.chromeEventHandlers).forEach(([event, handler]) => {
+            chrome.bookmarks[event]?.removeListener(handler);
+        });
+        this.chromeEventHandlers = {};
+        clearTimeout(this.changeNotificationTimer);
+        this.changeNotificationTimer = null;
+    }
+
+    addChangeListener(listener) {
+        this.changeListeners.add(listener);
+        return () => this.changeListeners.delete(listener);
+    }
+
+    // Coalesce bursts of events (imports, bulk moves) into a single notification
+    notifyChange() {
+        if (this.isBatching) {
+            this.hasBatchedChanges = true;
+            return;
+        }
+        if (this.changeNotificationTimer) return;
+        
+        this.changeNotificationTimer = setTimeout(() => {
+            this.changeNotificationTimer = null;
+            // Runs after local CRUD has updated favorites itself, so only outside changes are reconciled
+            this.reconcileFavorites();
+            this.changeListeners.forEach(listener => {
+                try {
+                    listener();
+                } catch (error) {
+                    console.error('Error in bookmark change listener:', error);
+                }
+            });
+        }, 50);
+    }
+
+    // Runs a series of operations with change notifications held back until the end.
+    // The timer alone can't do it: it fires between the awaited Chrome calls
+    async runBatch(operation) {
+        this.isBatching = true;
+        try {
+            return await operation();
+        } finally {
+            this.isBatching = false;
+            if (this.hasBatchedChanges) {
+                this.hasBatchedChanges = false;
+                this.notifyChange();
+            }
+        }
+    }
+
+    async handleImportEnded() {
+        // Imports fire an event per node, so rebuild once when they finish
+        this.isImporting = false;
+        await this.loadChromeBookmarks();
+        this.notifyChange();
+    }
+
+    // The apply* methods are idempotent: local CRUD applies its own result
+    // right away and the matching event that follows is then a no-op.
+    applyCreated(node) {
+        if (!node || this.findEntry(node.id)) return;
+
+        this.shiftSiblingIndexes(node.parentId, node.index, 1);
+
+        if (node.url) {
+            const bookmark = this.createBookmarkEntry(node);
+            this.chromeBookmarks.push(bookmark);
+            const parentFolder = this.getFolder(node.parentId);
+            if (parentFolder) {
+                parentFolder.children.push(bookmark);
+                this.sortFolderChildren(parentFolder);
+            }
+        } else {
+            this.folders.push(this.createFolderEntry(node));
+            this.sortFolders();
+        }
+
+        this.notifyChange();
+    }
+
+    applyRemoved(id, removeInfo = {}) {
+        const entry = this.findEntry(id);
+        if (!entry) return;
+
+        // Removing a folder removes its whole subtree
+        const removedFolderIds = new Set();
+        if (!entry.url) {
+            const collect = folderId => {
+                removedFolderIds.add(folderId);
+                this.folders
+                    .filter(folder => folder.parentId === folderId)
+                    .forEach(folder => collect(folder.id));
+            };
+            collect(id);
+        }
+
+        this.chromeBookmarks = this.chromeBookmarks.filter(bookmark => 
+            bookmark.id !== id && !removedFolderIds.has(bookmark.parentId)
+        );
+        this.folders = this.folders.filter(folder => !removedFolderIds.has(folder.id));
+
+        const parentFolder = this.getFolder(entry.parentId);
+        if (parentFolder) {
+            parentFolder.children = parentFolder.children.filter(bookmark => bookmark.id !== id);
+        }
+
+        this.shiftSiblingIndexes(removeInfo.parentId ?? entry.parentId, (removeInfo.index ?? entry.index) + 1, -1);
+        this.notifyChange();
+    }
+
+    applyChanged(id, changeInfo = {}) {
+        const entry = this.findEntry(id);
+        if (!entry) return;
+
+        if (changeInfo.title !== undefined) entry.title = changeInfo.title;
+        if (changeInfo.url !== undefined && entry.url !== undefined) entry.url = changeInfo.url;
+        if (!entry.url) this.sortFolders();
+
+        this.notifyChange();
+    }
+
+    applyMoved(id, moveInfo) {
+        const entry = this.findEntry(id);
+        if (!entry || (entry.parentId === moveInfo.parentId && entry.index === moveInfo.index)) return;
+
+        const oldParentId = entry.parentId;
+        this.shiftSiblingIndexes(oldParentId, entry.index + 1, -1, id);
+        this.shiftSiblingIndexes(moveInfo.parentId, moveInfo.index, 1, id);
+        entry.parentId = moveInfo.parentId;
+        entry.index = moveInfo.index;
+
+        if (entry.url) {
+            const oldParent = this.getFolder(oldParentId);
+            const newParent = this.getFolder(moveInfo.parentId);
+            if (oldParent) {
+                oldParent.children = oldParent.children.filter(bookmark => bookmark.id !== id);
+            }
+            if (newParent) {
+                newParent.children.push(entry);
+                this.sortFolderChildren(newParent);
             }
+        }
+
+        this.notifyChange();
+    }
+
+    applyChildrenReordered(parentId, reorderInfo) {
+        const childIds = reorderInfo?.childIds || [];
+        childIds.forEach((childId, index) => {
+            const entry = this.findEntry(childId);
+            if (entry) entry.index = index;
         });
+
+        const folder = this.getFolder(parentId);
+        if (folder) this.sortFolderChildren(folder);
+
+        this.notifyChange();
+    }
+
+    findEntry(id) {
+        return this.chromeBookmarks.find(b => b.id === id) || this.getFolder(id);
+    }
+
+    shiftSiblingIndexes(parentId, fromIndex, delta, excludeId = null) {
+        if (fromIndex === undefined || Number.isNaN(fromIndex)) return;
+
+        const shift = entry => {
+            if (entry.parentId === parentId && entry.id !== excludeId && entry.index >= fromIndex) {
+                entry.index += delta;
+            }
+        };
+        this.chromeBookmarks.forEach(shift);
+        this.folders.forEach(shift);
+    }
+
+    sortFolderChildren(folder) {
+        folder.children.sort((a, b) => a.index - b.index);
     }
 
     async loadFavorites() {
         try {
-            const result = await chrome.storage.local.get(['favoriteBookmarks']);
-            this.favorites = result.favoriteBookmarks || [];
+            const result = await chrome.storage.local.get(['favorites', 'favoriteBookmarks']);
+            
+            if (result.favorites) {
+                this.favorites = result.favorites;
+            } else if (result.favoriteBookmarks) {
+                await this.migrateFavorites(result.favoriteBookmarks);
+            } else {
+                this.favorites = [];
+            }
         } catch (error)
         {
             console.error('Error loading favorites:', error);
         }
     }
 
-    async saveFavorites() {
+    // Older versions stored full bookmark copies under "favoriteBookmarks"
+    async migrateFavorites(storedBookmarks) {
+        this.favorites = storedBookmarks
+            .filter(bookmark => bookmark?.id)
+            .map(bookmark => this.createFavoriteEntry(bookmark));
+        
+        await chrome.storage.local.set({ favorites: this.favorites });
+        await chrome.storage.local.remove('favoriteBookmarks');
+    }
+
+    async saveFavorites({ push = true } = {}) {
         try {
-            await chrome.storage.local.set({ favoriteBookmarks: this.favorites });
+            await chrome.storage.local.set({ favorites: this.favorites });
+            if (push) this.storage?.push('favorites');
         } catch (error) {
             console.error('Error saving favorites:', error);
         }
     }
 
+    // Synced favorites carry the normalized URL; entries written before that still have the full one
+    getSyncUrl(url) {
+        try {
+            new URL(url);
+        } catch {
+            return url;
+        }
+        return this.urls.normalize(url);
+    }
+
+    // Maps synced { url } entries back onto this device's bookmark ids
+    async applySyncedFavorites(synced) {
+        const previous = this.favorites;
+        const usedIds = new Set();
+        const findBookmark = syncUrl => {
+            const isMatch = url => this.getSyncUrl(url) === syncUrl;
+            const known = previous.find(favorite =>
+                !usedIds.has(favorite.id) && this.getBookmark(favorite.id) && isMatch(favorite.url));
+            return known ? this.getBookmark(known.id) : this.chromeBookmarks.find(bookmark =>
+                !usedIds.has(bookmark.id) && isMatch(bookmark.url));
+        };
+        
+        this.favorites = synced.map(({ url }) => {
+            const syncUrl = this.getSyncUrl(url);
+            const bookmark = findBookmark(syncUrl);
+            if (bookmark) {
+                usedIds.add(bookmark.id);
+                return this.createFavoriteEntry(bookmark);
+            }
+            // Not on this device (yet); an orphan keeps the hints it had
+            return previous.find(favorite => !this.getBookmark(favorite.id) && this.getSyncUrl(favorite.url) === syncUrl) ||
+                { id: null, url, title: '' };
+        });
+        
+        // Reconciled here rather than on the next change notification, so nothing is pushed back
+        this.reconcileFavorites({ push: false });
+        await this.saveFavorites({ push: false });
+        this.notifyChange();
+    }
+
+    createFavoriteEntry(bookmark) {
+        return { id: bookmark.id, url: bookmark.url, title: bookmark.title };
+    }
+
+    // Brings stored favorites in line with the bookmark tree: refreshes the url and
+    // title hints, and re-attaches favorites whose bookmark was re-created elsewhere
+    // (e.g. by sync) to a bookmark with the same URL. Unmatched ones stay as orphans.
+    reconcileFavorites({ push = true } = {}) {
+        let changed = false;
+        const favoriteIds = new Set(this.favorites.map(favorite => favorite.id));
+        
+        this.favorites.forEach(favorite => {
+            const bookmark = this.getBookmark(favorite.id);
+            
+            if (bookmark) {
+                if (bookmark.url !== favorite.url || bookmark.title !== favorite.title) {
+                    Object.assign(favorite, this.createFavoriteEntry(bookmark));
+                    changed = true;
+                }
+                return;
+            }
+            
+            const syncUrl = this.getSyncUrl(favorite.url);
+            const match = this.chromeBookmarks.find(candidate =>
+                !favoriteIds.has(candidate.id) && this.getSyncUrl(candidate.url) === syncUrl);
+            if (match) {
+                favoriteIds.delete(favorite.id);
+                favoriteIds.add(match.id);
+                Object.assign(favorite, this.createFavoriteEntry(match));
+                changed = true;
+            }
+        });
+        
+        if (changed) this.saveFavorites({ push });
+        return changed;
+    }
+
+    // Favorites whose bookmark is gone and couldn't be re-matched by URL
+    getOrphanedFavorites() {
+        return this.favorites.filter(favorite => !this.getBookmark(favorite.id));
+    }
+
+    removeOrphanedFavorites() {
+        const count = this.favorites.length;
+        this.favorites = this.favorites.filter(favorite => this.getBookmark(favorite.id));
+        
+        const removed = count - this.favorites.length;
+        if (removed > 0) this.saveFavorites();
+        return removed;
+    }
+
     // CRUD operations
     async create(data) {
         try {
             const bookmark = await chrome.bookmarks.create({
                 title: data.title,
                 url: data.url,
-                parentId: data.parentId || undefined
+                parentId: data.parentId || undefined,
+                index: data.index
             });
             
-            await this.loadChromeBookmarks(); // Refresh
+            this.applyCreated(bookmark);
             return bookmark;
         } catch (error) {
             console.error('Error creating bookmark:', error);
@@ -110,12 +451,12 @@ export class BookmarkManager {
 
     async update(id, data) {
         try {
-            await chrome.bookmarks.update(id, {
+            const bookmark = await chrome.bookmarks.update(id, {
                 title: data.title,
                 url: data.url
             });
             
-            await this.loadChromeBookmarks(); // Refresh
+            this.applyChanged(id, { title: bookmark.title, url: bookmark.url });
         } catch (error) {
             console.error('Error updating bookmark:', error);
             throw error;
@@ -125,82 +466,241 @@ export class BookmarkManager {
     async delete(id) {
         try {
             await chrome.bookmarks.remove(id);
-            await this.loadChromeBookmarks(); // Refresh
+            this.applyRemoved(id);
         } catch (error) {
             console.error('Error deleting bookmark:', error);
             throw error;
         }
     }
 
-    async createFolder(title) {
+    async createFolder(title, parentId = null) {
         try {
-            const bookmarkTree = await chrome.bookmarks.getTree();
-            const parentId = bookmarkTree[0].children[0].id; // Bookmarks Bar
-            
-            await chrome.bookmarks.create({
+            const folder = await chrome.bookmarks.create({
                 title,
-                parentId
+                parentId: parentId || this.getSubfolders()[0]?.id // Bookmarks Bar
             });
             
-            await this.loadChromeBookmarks(); // Refresh
+            this.applyCreated(folder);
+            return folder;
         } catch (error) {
             console.error('Error creating folder:', error);
             throw error;
         }
     }
 
+    async move(id, destination) {
+        try {
+            const node = await chrome.bookmarks.move(id, destination);
+            this.applyMoved(id, { parentId: node.parentId, index: node.index });
+            return node;
+        } catch (error) {
+            console.error('Error moving bookmark:', error);
+            throw error;
+        }
+    }
+
+    // Moves so the node ends up at `index`; Chrome counts the index before
+    // removing the node, which is off by one when moving down in the same folder
+    async moveToPosition(id, parentId, index) {
+        const entry = this.findEntry(id);
+        const adjustedIndex = entry && entry.parentId === parentId && entry.index < index ? index + 1 : index;
+        return this.move(id, { parentId, index: adjustedIndex });
+    }
+
+    // Import / export in the Netscape bookmark HTML format
+    async importHtml(html, parentId, onProgress = () => {}) {
+        const nodes = this.netscape.parse(html);
+        const summary = {
+            total: this.countBookmarkNodes(nodes),
+            created: 0,
+            duplicates: 0,
+            failed: 0,
+            folders: 0
+        };
+        const knownUrls = new Set(this.chromeBookmarks.map(bookmark => this.urls.normalize(bookmark.url)));
+
+        await this.runBatch(() => this.importNodes(nodes, parentId, knownUrls, summary, onProgress));
+        return summary;
+    }
+
+    async importNodes(nodes, parentId, knownUrls, summary, onProgress) {
+        for (const node of nodes) {
+            if (node.children) {
+                // Merge into a same-named folder so re-importing a file doesn't duplicate the tree
+                let folder = this.getSubfolders(parentId).find(f => f.title === node.title);
+                if (!folder) {
+                    try {
+                        const created = await chrome.bookmarks.create({ parentId, title: node.title });
+                        this.applyCreated(created);
+                        folder = this.getFolder(created.id);
+                        summary.folders++;
+                    } catch (error) {
+                        console.error('Error importing folder:', error);
+                        summary.failed += this.countBookmarkNodes(node.children);
+                        onProgress(summary);
+                        continue;
+                    }
+                }
+                await this.importNodes(node.children, folder.id, knownUrls, summary, onProgress);
+                continue;
+            }
+
+            const normalizedUrl = this.urls.normalize(node.url);
+            if (knownUrls.has(normalizedUrl)) {
+                summary.duplicates++;
+            } else {
+                try {
+                    const bookmark = await chrome.bookmarks.create({ parentId, title: node.title, url: node.url });
+                    this.applyCreated(bookmark);
+                    if (node.description) this.notes?.set(bookmark.id, node.description);
+                    knownUrls.add(normalizedUrl);
+                    summary.created++;
+                } catch (error) {
+                    // e.g. browser-internal URLs Chrome refuses to bookmark
+                    console.error('Error importing bookmark:', error);
+                    summary.failed++;
+                }
+            }
+            onProgress(summary);
+        }
+    }
+
+    countBookmarkNodes(nodes) {
+        return nodes.reduce((count, node) => 
+            count + (node.children ? this.countBookmarkNodes(node.children) : 1), 0
+        );
+    }
+
+    // Exports one folder, or the whole tree when no folder is given
+    async exportHtml(folderId = null) {
+        const nodes = folderId ?
+            await chrome.bookmarks.getSubTree(folderId) :
+            (await chrome.bookmarks.getTree())[0].children;
+        const title = (folderId && this.getFolder(folderId)?.title) || 'Bookmarks';
+
+        return this.netscape.serialize(this.toExportNodes(nodes), title);
+    }
+
+    // Exports a hand-picked set of bookmarks as a flat list
+    exportBookmarksHtml(bookmarkIds, title = 'Selected bookmarks') {
+        const nodes = bookmarkIds
+            .map(id => this.getBookmark(id))
+            .filter(Boolean)
+            .map(bookmark => ({ title: bookmark.title, url: bookmark.url, description: this.notes?.get(bookmark.id) }));
+
+        return this.netscape.serialize(nodes, title);
+    }
+
+    // Same walk as traverseBookmarksTree, producing plain nodes for the file format
+    toExportNodes(nodes) {
+        return nodes.map(node => {
+            if (node.children) {
+                return {
+                    title: node.title,
+                    addDate: node.dateAdded,
+                    isToolbar: node.folderType === 'bookmarks-bar' || node.id === '1',
+                    children: this.toExportNodes(node.children)
+                };
+            }
+            return {
+                title: node.title,
+                url: node.url,
+                addDate: node.dateAdded,
+                description: this.notes?.get(node.id)
+            };
+        });
+    }
+
     // Favorites management
     toggleFavorite(bookmarkId) {
         const bookmark = this.chromeBookmarks.find(b => b.id === bookmarkId);
         if (!bookmark) return;
 
-        const favoriteIndex = this.favorites.findIndex(b => b.id === bookmarkId);
+        const favoriteIndex = this.getFavoriteIndex(bookmarkId);
         
         if (favoriteIndex > -1) {
             this.favorites.splice(favoriteIndex, 1);
         } else {
-            this.favorites.push(bookmark);
+            this.favorites.push(this.createFavoriteEntry(bookmark));
         }
         
         this.saveFavorites();
     }
 
-    addToFavorites(bookmark) {
-        const exists = this.favorites.some(fav => fav.id === bookmark.id);
-        if (!exists) {
-            this.favorites.push(bookmark);
+    addToFavorites(bookmark, index = this.favorites.length) {
+        if (!this.isFavorite(bookmark.id)) {
+            this.favorites.splice(index, 0, this.createFavoriteEntry(bookmark));
             this.saveFavorites();
         }
     }
 
+    setFavorite(bookmarkId, isFavorite, index) {
+        if (isFavorite) {
+            const bookmark = this.getBookmark(bookmarkId);
+            if (bookmark) this.addToFavorites(bookmark, index);
+        } else {
+            this.removeFromFavorites(bookmarkId);
+        }
+    }
+
+    // Bulk version of setFavorite with a single storage write
+    setFavorites(bookmarkIds, isFavorite) {
+        let changed = 0;
+        
+        bookmarkIds.forEach(bookmarkId => {
+            const index = this.getFavoriteIndex(bookmarkId);
+            if (isFavorite && index === -1) {
+                const bookmark = this.getBookmark(bookmarkId);
+                if (bookmark) {
+                    this.favorites.push(this.createFavoriteEntry(bookmark));
+                    changed++;
+                }
+            } else if (!isFavorite && index > -1) {
+                this.favorites.splice(index, 1);
+                changed++;
+            }
+        });
+        
+        if (changed > 0) this.saveFavorites();
+        return changed;
+    }
+
+    getFavoriteIndex(bookmarkId) {
+        return this.favorites.findIndex(favorite => favorite.id === bookmarkId);
+    }
+
     removeFromFavorites(bookmarkId) {
-        const index = this.favorites.findIndex(b => b.id === bookmarkId);
+        const index = this.getFavoriteIndex(bookmarkId);
         if (index > -1) {
             this.favorites.splice(index, 1);
             this.saveFavorites();
         }
     }
     
-    // FIX: Add a method to reorder the custom favorites array
-    reorderFavorite(draggedId, targetId) {
-        const draggedIndex = this.favorites.findIndex(b => b.id === draggedId);
-        const targetIndex = this.favorites.findIndex(b => b.id === targetId);
+    // Moves a favorite next to another one, before or after it
+    reorderFavorite(draggedId, targetId, position = 'before') {
+        const draggedIndex = this.getFavoriteIndex(draggedId);
 
-        if (draggedIndex === -1 || targetIndex === -1) return;
+        if (draggedIndex === -1 || this.getFavoriteIndex(targetId) === -1) return;
 
         // Remove the dragged item from its original position
         const [draggedItem] = this.favorites.splice(draggedIndex, 1);
         
-        // Insert it at the target's position
-        this.favorites.splice(targetIndex, 0, draggedItem);
+        // Insert it next to the target, which may have shifted up by one
+        const targetIndex = this.getFavoriteIndex(targetId);
+        this.favorites.splice(position === 'after' ? targetIndex + 1 : targetIndex, 0, draggedItem);
         
         // Save the newly ordered array
         this.saveFavorites();
     }
 
     // Data getters with filtering
+    // Favorites resolved against the live tree, so titles and URLs are always current
     getFavorites(query = '') {
-        return this.filterBookmarks(this.favorites, query);
+        const bookmarks = this.favorites
+            .map(favorite => this.getBookmark(favorite.id))
+            .filter(Boolean);
+        return this.filterBookmarks(bookmarks, query);
     }
 
     getAll(query = '') {
@@ -208,33 +708,112 @@ export class BookmarkManager {
     }
 
     getFolders(query = '') {
-        if (!query.trim()) return this.folders;
-        return this.folders.filter(folder => 
-            folder.title.toLowerCase().includes(query.toLowerCase())
-        );
+        return this.filterFolders(this.folders, query);
     }
 
     getFolderBookmarks(folderId, query = '') {
-        const folder = this.folders.find(f => f.id === folderId);
+        const folder = this.getFolder(folderId);
         if (!folder) return [];
         return this.filterBookmarks(folder.children, query);
     }
 
+    // Direct subfolders in Chrome's order; a null parent returns the top-level folders
+    getSubfolders(parentId = null, query = '') {
+        const subfolders = this.folders
+            .filter(folder => parentId ? folder.parentId === parentId : !this.getFolder(folder.parentId))
+            .sort((a, b) => a.index - b.index);
+        
+        return this.filterFolders(subfolders, query);
+    }
+
+    getBookmark(bookmarkId) {
+        return this.chromeBookmarks.find(b => b.id === bookmarkId);
+    }
+
     getFolder(folderId) {
         return this.folders.find(f => f.id === folderId);
     }
 
+    getParentFolder(folderId) {
+        const folder = this.getFolder(folderId);
+        return folder ? this.getFolder(folder.parentId) || null : null;
+    }
+
+    // Folders from the top level down to (and including) the given folder
+    getFolderPath(folderId) {
+        const path = [];
+        let folder = this.getFolder(folderId);
+        
+        while (folder && !path.includes(folder)) {
+            path.unshift(folder);
+            folder = this.getFolder(folder.parentId);
+        }
+        
+        return path;
+    }
+
+    // Duplicate detection - bookmarks whose URLs normalize to the same page
+    findByUrl(url, excludeId = null) {
+        const normalized = this.urls.normalize(url);
+        return this.chromeBookmarks.filter(bookmark => bookmark.id !== excludeId && this.urls.normalize(bookmark.url) === normalized);
+    }
+
+    // Groups of two or more copies, biggest first; each group lists favorites, then the oldest copy, first
+    getDuplicateGroups() {
+        const groups = new Map();
+        
+        this.chromeBookmarks.forEach(bookmark => {
+            const key = this.urls.normalize(bookmark.url);
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(bookmark);
+        });
+        
+        return [...groups.entries()]
+            .filter(([, bookmarks]) => bookmarks.length > 1)
+            .map(([key, bookmarks]) => ({
+                key,
+                bookmarks: bookmarks.sort((a, b) =>
+                    Number(this.isFavorite(b.id)) - Number(this.isFavorite(a.id)) ||
+                    (a.dateAdded || 0) - (b.dateAdded || 0))
+            }))
+            .sort((a, b) => b.bookmarks.length - a.bookmarks.length || a.key.localeCompare(b.key));
+    }
+
+    // Scored results ([{ item, score }]) for merging with other sources
+    rankBookmarks(query) {
+        return this.search.rank(this.chromeBookmarks, query, this.getSearchAccessors());
+    }
+
+    rankFolders(query) {
+        return this.search.rank(this.folders, query, this.getFolderSearchAccessors());
+    }
+
+    // Ranked fuzzy filtering; an empty query keeps the original order
     filterBookmarks(bookmarks, query) {
-        if (!query.trim()) return bookmarks;
-        const lowerQuery = query.toLowerCase();
-        return bookmarks.filter(bookmark => 
-            bookmark.title.toLowerCase().includes(lowerQuery) ||
-            bookmark.url.toLowerCase().includes(lowerQuery)
-        );
+        return this.search.filter(bookmarks, query, this.getSearchAccessors());
+    }
+
+    filterFolders(folders, query) {
+        return this.search.filter(folders, query, this.getFolderSearchAccessors());
+    }
+
+    getFolderSearchAccessors() {
+        return {
+            getUrl: () => '',
+            getFolderPath: folder => this.getFolderPath(folder.parentId).map(f => f.title)
+        };
+    }
+
+    getSearchAccessors() {
+        return {
+            isFavorite: bookmark => this.isFavorite(bookmark.id),
+            getNotes: bookmark => this.notes?.get(bookmark.id),
+            getFolderPath: bookmark => this.getFolderPath(bookmark.parentId).map(f => f.title)
+        };
     }
 
     // Check if bookmark is favorited
     isFavorite(bookmarkId) {
-        return this.favorites.some(fav => fav.id === bookmarkId);
+        return this.favorites.some(favorite => favorite.id === bookmarkId);
     }
 }
\ No newline at end of file
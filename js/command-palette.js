@@ -0,0 +1,485 @@
+// Command palette module - every app action by name (Ctrl+Shift+P)
+//
+// A command is { id, title, run(value), shortcut?, keywords?, targets?() }.
+// Commands with targets (folders, bookmarks, themes...) ask for one once picked.
+// The first step matches targets too, so typing "infra" offers
+// "Go to folder › Infra" straight away. Other modules add their own commands
+// with app.commands.register().
+import { FuzzySearch } from './fuzzy-search.js';
+
+export class CommandPalette {
+    constructor(app) {
+        this.app = app;
+        this.commands = new Map();
+        this.search = new FuzzySearch();
+        this.elements = {};
+        this.boundHandlers = {};
+
+        this.results = [];
+        this.activeIndex = 0;
+        // The command waiting for its target, while the second step is shown
+        this.pendingCommand = null;
+
+        this.recentIds = [];
+        this.maxRecent = 10;
+        this.recentBoost = 5;
+        this.maxResults = 50;
+        this.targetsPerCommand = 3;
+    }
+
+    async init() {
+        this.cacheElements();
+        this.bindHandlers();
+        this.setupEventListeners();
+        this.registerDefaults();
+        await this.loadRecent();
+    }
+
+    cacheElements() {
+        this.elements = {
+            palette: document.getElementById('command-palette'),
+            input: document.getElementById('command-palette-input'),
+            list: document.getElementById('command-palette-list')
+        };
+    }
+
+    bindHandlers() {
+        this.boundHandlers.handleInput = () => this.update();
+        this.boundHandlers.handleKeydown = this.handleKeydown.bind(this);
+        this.boundHandlers.handleListClick = this.handleListClick.bind(this);
+        this.boundHandlers.handleListMouseMove = this.handleListMouseMove.bind(this);
+        this.boundHandlers.handleBackdropClick = e => {
+            if (e.target === this.elements.palette) this.close();
+        };
+    }
+
+    setupEventListeners() {
+        this.elements.input?.addEventListener('input', this.boundHandlers.handleInput);
+        this.elements.input?.addEventListener('keydown', this.boundHandlers.handleKeydown);
+        this.elements.list?.addEventListener('click', this.boundHandlers.handleListClick);
+        this.elements.list?.addEventListener('mousemove', this.boundHandlers.handleListMouseMove);
+        this.elements.palette?.addEventListener('click', this.boundHandlers.handleBackdropClick);
+    }
+
+    register(command) {
+        this.commands.set(command.id, command);
+        return () => this.commands.delete(command.id);
+    }
+
+    registerDefaults() {
+        const app = this.app;
+        const ui = app.ui;
+
+        [
+            ['favorites', 'Show favorites'],
+            ['all', 'Show all bookmarks'],
+            ['folders', 'Show folders'],
+            ['tags', 'Show tags'],
+            ['reading', 'Show reading list'],
+            ['duplicates', 'Show duplicates'],
+            ['link-health', 'Show link health']
+        ].forEach(([view, title]) => {
+            this.register({ id: `view.${view}`, title, run: () => app.switchView(view) });
+        });
+
+        this.register({
+            id: 'folder.open',
+            title: 'Go to folder…',
+            targets: () => this.getFolderTargets(),
+            run: folderId => app.switchView('folder-view', folderId)
+        });
+        this.register({
+            id: 'folder.openAll',
+            title: 'Open all in folder…',
+            targets: () => this.getFolderTargets(),
+            run: folderId => app.openBookmarks(app.getFolderBookmarks(folderId).map(bookmark => bookmark.id))
+        });
+        this.register({
+            id: 'tag.open',
+            title: 'Show bookmarks tagged…',
+            keywords: 'label',
+            targets: () => app.getAllTags().map(tag => ({
+                value: tag.name,
+                title: tag.name,
+                subtitle: `${tag.count} ${tag.count === 1 ? 'bookmark' : 'bookmarks'}`
+            })),
+            run: tag => app.showTag(tag)
+        });
+        this.register({
+            id: 'folder.create',
+            title: 'Create folder…',
+            run: () => ui.modals.showFolderModal()
+        });
+        this.register({
+            id: 'bookmark.add',
+            title: 'Add bookmark…',
+            shortcut: 'Ctrl+B',
+            run: () => ui.modals.showBookmarkModal()
+        });
+        this.register({
+            id: 'bookmark.addClipboard',
+            title: 'Add current clipboard URL',
+            keywords: 'paste',
+            run: () => this.addClipboardUrl()
+        });
+        this.register({
+            id: 'bookmark.toggleFavorite',
+            title: 'Toggle favorite on…',
+            keywords: 'star',
+            targets: () => this.getBookmarkTargets(),
+            run: bookmarkId => app.toggleFavorite(bookmarkId)
+        });
+        this.register({
+            id: 'bookmark.export',
+            title: 'Export…',
+            keywords: 'html download',
+            targets: () => [{ value: null, title: 'All bookmarks' }, ...this.getFolderTargets()],
+            run: folderId => app.exportBookmarks(folderId)
+        });
+        this.register({
+            id: 'settings.theme',
+            title: 'Switch theme…',
+            keywords: 'color appearance',
+            targets: () => app.settings.getThemes().map(theme => ({
+                value: theme.id,
+                title: theme.name,
+                subtitle: theme.id === app.settings.getActiveTheme() ? 'Current' : ''
+            })),
+            // Picking a theme by hand turns automatic switching off
+            run: theme => app.updateSettings({ theme, autoTheme: 'off' })
+        });
+        this.register({
+            id: 'settings.open',
+            title: 'Open settings',
+            keywords: 'preferences import',
+            run: () => ui.modals.showSettingsModal()
+        });
+        this.register({
+            id: 'settings.sync',
+            title: 'Turn sync on or off',
+            run: () => app.setSyncEnabled(!app.isSyncEnabled())
+        });
+        this.register({
+            id: 'history.undo',
+            title: 'Undo',
+            shortcut: 'Ctrl+Z',
+            run: () => app.undo()
+        });
+        this.register({
+            id: 'history.redo',
+            title: 'Redo',
+            shortcut: 'Ctrl+Shift+Z',
+            run: () => app.redo()
+        });
+        this.register({
+            id: 'links.check',
+            title: 'Check links',
+            keywords: 'broken dead health',
+            run: () => {
+                app.switchView('link-health');
+                return ui.handleLinkHealthScan();
+            }
+        });
+        this.register({
+            id: 'duplicates.merge',
+            title: 'Keep one of each duplicate',
+            keywords: 'merge',
+            run: () => app.mergeAllDuplicates()
+        });
+        this.register({
+            id: 'favorites.cleanOrphans',
+            title: 'Remove deleted bookmarks from favorites',
+            run: () => ui.executeAction('cleanOrphanedFavorites', { target: document.body })
+        });
+        this.register({
+            id: 'help.shortcuts',
+            title: 'Show keyboard shortcuts',
+            shortcut: '?',
+            run: () => ui.keyboard.showShortcuts()
+        });
+    }
+
+    getFolderTargets() {
+        return this.app.getFolders().map(folder => ({
+            value: folder.id,
+            title: folder.title || 'Untitled Folder',
+            subtitle: this.app.getFolderPathLabel(folder.parentId)
+        }));
+    }
+
+    getBookmarkTargets() {
+        return this.app.getAllBookmarks().map(bookmark => ({
+            value: bookmark.id,
+            title: bookmark.title || 'Untitled',
+            url: bookmark.url,
+            subtitle: this.app.getFolderPathLabel(bookmark.parentId)
+        }));
+    }
+
+    async addClipboardUrl() {
+        let text;
+        try {
+            text = (await navigator.clipboard.readText()).trim();
+        } catch (error) {
+            console.error('Error reading clipboard:', error);
+            this.app.showErrorMessage('Could not read the clipboard');
+            return;
+        }
+
+        if (!/^https?:\/\/\S+$/i.test(text)) {
+            this.app.showWarningMessage('The clipboard doesn\'t hold a web address');
+            return;
+        }
+        await this.app.addLinks([{ url: text }]);
+    }
+
+    async loadRecent() {
+        try {
+            const result = await chrome.storage.local.get(['recentCommands']);
+            this.recentIds = result.recentCommands || [];
+        } catch (error) {
+            console.error('Error loading recent commands:', error);
+            this.recentIds = [];
+        }
+    }
+
+    async recordRecent(id) {
+        this.recentIds = [id, ...this.recentIds.filter(recentId => recentId !== id)].slice(0, this.maxRecent);
+        try {
+            await chrome.storage.local.set({ recentCommands: this.recentIds });
+        } catch (error) {
+            console.error('Error saving recent commands:', error);
+        }
+    }
+
+    isOpen() {
+        return Boolean(this.elements.palette && !this.elements.palette.classList.contains('hidden'));
+    }
+
+    open() {
+        if (!this.elements.palette) return;
+
+        this.previousFocus = document.activeElement;
+        this.pendingCommand = null;
+        this.elements.input.value = '';
+        this.elements.palette.classList.remove('hidden');
+        this.elements.input.focus();
+        this.update();
+    }
+
+    close() {
+        if (!this.isOpen()) return;
+
+        this.elements.palette.classList.add('hidden');
+        this.pendingCommand = null;
+        this.previousFocus?.focus?.();
+    }
+
+    toggle() {
+        if (this.isOpen()) {
+            this.close();
+        } else {
+            this.open();
+        }
+    }
+
+    // Second step: pick the folder, bookmark, theme... the command acts on
+    askForTarget(command) {
+        this.pendingCommand = command;
+        this.elements.input.value = '';
+        this.update();
+    }
+
+    update() {
+        const query = this.elements.input.value;
+        this.results = (this.pendingCommand ?
+            this.getTargetResults(this.pendingCommand, query) :
+            this.getCommandResults(query)).slice(0, this.maxResults);
+        this.activeIndex = 0;
+
+        this.elements.input.placeholder = this.pendingCommand ?
+            this.pendingCommand.title :
+            'Type a command, folder or bookmark…';
+        this.render();
+    }
+
+    // Recently used commands come first, and rank a little higher while typing
+    getCommandResults(query) {
+        const commands = [...this.commands.values()];
+
+        if (!query.trim()) {
+            const recent = this.recentIds.map(id => this.commands.get(id)).filter(Boolean);
+            const others = commands.filter(command => !recent.includes(command));
+            return [...recent, ...others].map(command => ({ command }));
+        }
+
+        const results = this.search.rank(commands, query, {
+            getTitle: command => `${command.title} ${command.keywords || ''}`,
+            getUrl: () => ''
+        }).map(({ item, score }) => ({ command: item, score: score + this.getRecentBoost(item.id) }));
+
+        commands.filter(command => command.targets).forEach(command => {
+            this.rankTargets(command, query)
+                .slice(0, this.targetsPerCommand)
+                .forEach(({ item, score }) => results.push({ command, target: item, score: score + this.getRecentBoost(command.id) }));
+        });
+
+        // Stable sort: on equal scores commands stay ahead of targets
+        return results.sort((a, b) => b.score - a.score);
+    }
+
+    getTargetResults(command, query) {
+        if (!query.trim()) {
+            return command.targets().map(target => ({ command, target }));
+        }
+        return this.rankTargets(command, query).map(({ item }) => ({ command, target: item }));
+    }
+
+    rankTargets(command, query) {
+        return this.search.rank(command.targets(), query, {
+            getTitle: target => target.title,
+            getUrl: target => target.url || ''
+        });
+    }
+
+    getRecentBoost(id) {
+        const index = this.recentIds.indexOf(id);
+        return index === -1 ? 0 : (this.maxRecent - index) * this.recentBoost;
+    }
+
+    render() {
+        const list = this.elements.list;
+        list.innerHTML = '';
+
+        if (this.results.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'palette-empty';
+            empty.textContent = this.pendingCommand ? 'Nothing matches' : 'No matching commands';
+            list.appendChild(empty);
+            return;
+        }
+
+        this.results.forEach((result, index) => {
+            list.appendChild(this.createResultElement(result, index));
+        });
+        this.setActive(0);
+    }
+
+    createResultElement(result, index) {
+        const item = document.createElement('li');
+        item.className = 'palette-item';
+        item.id = `palette-item-${index}`;
+        item.dataset.index = index;
+        item.setAttribute('role', 'option');
+
+        const title = document.createElement('span');
+        title.className = 'palette-title';
+        if (result.target && !this.pendingCommand) {
+            title.textContent = `${result.command.title.replace(/…$/, '')} › ${result.target.title}`;
+        } else {
+            title.textContent = result.target ? result.target.title : result.command.title;
+        }
+        item.appendChild(title);
+
+        const subtitle = result.target?.subtitle;
+        if (subtitle) {
+            const detail = document.createElement('span');
+            detail.className = 'palette-subtitle';
+            detail.textContent = subtitle;
+            item.appendChild(detail);
+        }
+
+        if (!result.target && result.command.shortcut) {
+            const shortcut = document.createElement('kbd');
+            shortcut.className = 'palette-shortcut';
+            shortcut.textContent = result.command.shortcut;
+            item.appendChild(shortcut);
+        }
+
+        return item;
+    }
+
+    setActive(index) {
+        const items = this.elements.list.querySelectorAll('.palette-item');
+        if (items.length === 0) return;
+
+        this.activeIndex = (index + items.length) % items.length;
+        items.forEach((item, itemIndex) => {
+            const isActive = itemIndex === this.activeIndex;
+            item.classList.toggle('active', isActive);
+            item.setAttribute('aria-selected', String(isActive));
+        });
+
+        const active = items[this.activeIndex];
+        this.elements.input.setAttribute('aria-activedescendant', active.id);
+        active.scrollIntoView?.({ block: 'nearest' });
+    }
+
+    handleKeydown(e) {
+        const handlers = {
+            'ArrowDown': () => this.setActive(this.activeIndex + 1),
+            'ArrowUp': () => this.setActive(this.activeIndex - 1),
+            'Enter': () => this.choose(this.results[this.activeIndex]),
+            'Escape': () => this.pendingCommand ? this.askForCommand() : this.close(),
+            'Backspace': () => this.askForCommand()
+        };
+
+        // Backspace in an empty second step goes back to the command list
+        if (e.key === 'Backspace' && (!this.pendingCommand || this.elements.input.value)) return;
+
+        const handler = handlers[e.key];
+        if (!handler) return;
+
+        e.preventDefault();
+        // Keep Escape and friends away from the page's own shortcuts
+        e.stopPropagation();
+        handler();
+    }
+
+    askForCommand() {
+        this.pendingCommand = null;
+        this.elements.input.value = '';
+        this.update();
+    }
+
+    handleListClick(e) {
+        const item = e.target.closest('.palette-item');
+        if (item) this.choose(this.results[Number(item.dataset.index)]);
+    }
+
+    handleListMouseMove(e) {
+        const item = e.target.closest('.palette-item');
+        if (item && Number(item.dataset.index) !== this.activeIndex) {
+            this.setActive(Number(item.dataset.index));
+        }
+    }
+
+    async choose(result) {
+        if (!result) return;
+
+        const { command, target } = result;
+        if (command.targets && !target) {
+            this.askForTarget(command);
+            return;
+        }
+
+        this.close();
+        this.recordRecent(command.id);
+
+        try {
+            await command.run(target?.value);
+        } catch (error) {
+            console.error(`Error running command ${command.id}:`, error);
+            this.app.showErrorMessage(`"${command.title.replace(/…$/, '')}" failed`);
+        }
+    }
+
+    destroy() {
+        this.elements.input?.removeEventListener('input', this.boundHandlers.handleInput);
+        this.elements.input?.removeEventListener('keydown', this.boundHandlers.handleKeydown);
+        this.elements.list?.removeEventListener('click', this.boundHandlers.handleListClick);
+        this.elements.list?.removeEventListener('mousemove', this.boundHandlers.handleListMouseMove);
+        this.elements.palette?.removeEventListener('click', this.boundHandlers.handleBackdropClick);
+        this.commands.clear();
+    }
+}
@@ -1,14 +1,27 @@
 // Drag and drop functionality module
+//
+// Cards start their own drags; dragover / drop are handled once on the document
+// so folder cards, breadcrumbs, the back button and the page itself can all be
+// drop targets, including for links dragged in from other windows.
 export class DragDropManager {
     constructor(app) {
         this.app = app;
         this.draggedElement = null;
         this.draggedData = null;
+        this.draggedIds = [];
+        this.dropTarget = null;
         this.boundMethods = {};
+
+        // Folder cards: the outer quarter on each side reorders, the middle nests
+        this.edgeZone = 0.25;
     }
 
     init() {
         this.bindMethods();
+
+        document.addEventListener('dragover', this.boundMethods.handleDragOver);
+        document.addEventListener('dragleave', this.boundMethods.handleDragLeave);
+        document.addEventListener('drop', this.boundMethods.handleDrop);
     }
 
     bindMethods() {
@@ -22,38 +35,55 @@ export class DragDropManager {
 
     makeDraggable(card, bookmark) {
         if (!card || !bookmark) return;
-        
+
         card.draggable = true;
-        
+
         // Remove existing listeners to prevent duplicates
         this.removeDragListeners(card);
-        
+
         // Add drag event listeners
         card.addEventListener('dragstart', this.boundMethods.handleDragStart);
         card.addEventListener('dragend', this.boundMethods.handleDragEnd);
-        card.addEventListener('dragover', this.boundMethods.handleDragOver);
-        card.addEventListener('dragleave', this.boundMethods.handleDragLeave);
-        card.addEventListener('drop', this.boundMethods.handleDrop);
-        
+
         // Store bookmark data for reference
         card.bookmarkData = bookmark;
     }
 
+    makeFolderDraggable(card, folder) {
+        if (!card || !folder) return;
+
+        // Chrome doesn't allow moving the Bookmarks Bar, Other Bookmarks etc.
+        if (!this.app.bookmarks.getFolder(folder.parentId)) return;
+
+        card.draggable = true;
+        this.removeDragListeners(card);
+        card.addEventListener('dragstart', this.boundMethods.handleDragStart);
+        card.addEventListener('dragend', this.boundMethods.handleDragEnd);
+        card.folderData = folder;
+    }
+
     removeDragListeners(card) {
         card.removeEventListener('dragstart', this.boundMethods.handleDragStart);
         card.removeEventListener('dragend', this.boundMethods.handleDragEnd);
-        card.removeEventListener('dragover', this.boundMethods.handleDragOver);
-        card.removeEventListener('dragleave', this.boundMethods.handleDragLeave);
-        card.removeEventListener('drop', this.boundMethods.handleDrop);
     }
 
     handleDragStart(e) {
-        this.draggedElement = e.currentTarget;
-        this.draggedData = e.currentTarget.bookmarkData;
-        
-        e.currentTarget.classList.add('dragging');
+        const card = e.currentTarget;
+        const data = card.bookmarkData || card.folderData;
+        const selection = this.app.ui.selection;
+
+        this.draggedElement = card;
+        this.draggedData = data;
+        // Dragging one of several selected cards takes the whole selection along
+        this.draggedIds = card.bookmarkData && selection?.isSelected(data.id) ?
+            selection.getSelectedIds() : [data.id];
+
+        card.classList.add('dragging');
         e.dataTransfer.effectAllowed = 'move';
-        e.dataTransfer.setData('text/plain', this.draggedData?.id || '');
+        e.dataTransfer.setData('text/plain', data.url || data.title || '');
+        if (data.url) {
+            e.dataTransfer.setData('text/uri-list', data.url);
+        }
     }
 
     handleDragEnd(e) {
@@ -61,102 +91,265 @@ export class DragDropManager {
         this.clearDragEffects();
         this.draggedElement = null;
         this.draggedData = null;
+        this.draggedIds = [];
     }
 
     handleDragOver(e) {
-        e.preventDefault();
-        e.dataTransfer.dropEffect = 'move';
-        
-        if (e.currentTarget !== this.draggedElement) {
-            e.currentTarget.classList.add('drag-over');
+        const target = this.getDropTarget(e);
+        if (!target) {
+            this.showDropTarget(null);
+            return;
         }
+
+        e.preventDefault();
+        e.dataTransfer.dropEffect = this.draggedData ? 'move' : 'copy';
+        this.showDropTarget(target);
     }
 
     handleDragLeave(e) {
-        // Only remove if we're actually leaving the element
-        if (!e.currentTarget.contains(e.relatedTarget)) {
-            e.currentTarget.classList.remove('drag-over');
+        // Only clear once the pointer leaves the window
+        if (!e.relatedTarget) {
+            this.showDropTarget(null);
         }
     }
 
     handleDrop(e) {
+        const target = this.getDropTarget(e);
+        this.clearDragEffects();
+        if (!target) return;
+
         e.preventDefault();
-        const targetElement = e.currentTarget;
-        const targetBookmark = targetElement.bookmarkData;
-        
-        if (targetElement !== this.draggedElement && this.draggedData && targetBookmark) {
-            // FIX: Check the current view to decide which reordering logic to use
-            if (this.app.currentView === 'favorites') {
-                this.reorderFavorites(this.draggedData, targetBookmark);
-            } else {
-                this.reorderChromeBookmark(this.draggedData, targetBookmark);
+        if (this.draggedData) {
+            this.dropDragged(target);
+        } else {
+            const links = this.getDroppedLinks(e.dataTransfer);
+            if (links.length > 0) {
+                this.app.addLinks(links, target.parentId);
             }
         }
-        
-        this.clearDragEffects();
+    }
+
+    isExternalLinkDrag(e) {
+        return !this.draggedData && [...(e.dataTransfer?.types || [])].includes('text/uri-list');
+    }
+
+    // Resolves what the pointer is over to { element, parentId, index, position },
+    // position being 'before' / 'after' (insert next to a card) or 'into' (a folder).
+    // null means nothing may be dropped here.
+    getDropTarget(e) {
+        if (!this.draggedData && !this.isExternalLinkDrag(e)) return null;
+        // Let text fields take dropped links as text
+        if (!e.target.closest || e.target.closest('input, textarea, select, .modal')) return null;
+
+        const element = e.target.closest('.bookmark-card, .folder-card, .breadcrumb-item, #back-btn');
+        if (element && element === this.draggedElement) return null;
+
+        if (element?.classList.contains('bookmark-card')) {
+            const target = this.getCardTarget(element, e);
+            if (target) return target;
+        } else if (element?.classList.contains('folder-card')) {
+            const target = this.getFolderCardTarget(element, e);
+            if (target) return target;
+        } else if (element?.classList.contains('breadcrumb-item')) {
+            return this.getFolderTarget(element, element.dataset.folderId);
+        } else if (element) {
+            const parent = this.app.currentFolder && this.app.bookmarks.getParentFolder(this.app.currentFolder.id);
+            return parent ? this.getFolderTarget(element, parent.id) : null;
+        }
+
+        return this.getPageTarget();
+    }
+
+    // Reordering next to a single bookmark (or favorite)
+    getCardTarget(card, e) {
+        const bookmark = card.bookmarkData;
+        if (!bookmark || !this.draggedData?.url || this.draggedIds.length > 1) return null;
+
+        const rect = card.getBoundingClientRect();
+        const position = e.clientX < rect.left + rect.width / 2 ? 'before' : 'after';
+
+        if (this.app.currentView === 'favorites') {
+            return { element: card, position, bookmark };
+        }
+        return {
+            element: card,
+            position,
+            parentId: bookmark.parentId,
+            index: bookmark.index + (position === 'after' ? 1 : 0)
+        };
+    }
+
+    getFolderCardTarget(card, e) {
+        const folder = this.app.bookmarks.getFolder(card.dataset.folderId);
+        if (!folder) return null;
+
+        // Only folders are reordered among folders, and never next to a top-level folder
+        const isFolderDrag = this.draggedData && !this.draggedData.url;
+        if (isFolderDrag && this.app.bookmarks.getFolder(folder.parentId)) {
+            const rect = card.getBoundingClientRect();
+            const offset = (e.clientX - rect.left) / rect.width;
+            if (offset < this.edgeZone || offset > 1 - this.edgeZone) {
+                const position = offset < this.edgeZone ? 'before' : 'after';
+                if (!this.canDropInto(folder.parentId)) return null;
+                return {
+                    element: card,
+                    position,
+                    parentId: folder.parentId,
+                    index: folder.index + (position === 'after' ? 1 : 0)
+                };
+            }
+        }
+
+        return this.getFolderTarget(card, folder.id);
+    }
+
+    getFolderTarget(element, folderId) {
+        if (!folderId || !this.canDropInto(folderId)) return null;
+        return { element, position: 'into', parentId: folderId };
+    }
+
+    // Empty space: links are added to the open folder (or the Bookmarks Bar),
+    // bookmarks can be moved to the end of the open folder
+    getPageTarget() {
+        if (this.draggedData) {
+            const isFolderView = this.app.currentView === 'folder-view' && this.app.currentFolder;
+            if (!isFolderView || !this.draggedData.url) return null;
+            return { element: null, position: 'into', parentId: this.app.currentFolder.id };
+        }
+
+        const parentId = this.app.getDefaultFolderId();
+        return parentId ? { element: null, position: 'into', parentId } : null;
+    }
+
+    // A folder can't be moved into itself or one of its own subfolders
+    canDropInto(folderId) {
+        if (!this.draggedData || this.draggedData.url) return true;
+        return !this.app.bookmarks.getFolderPath(folderId).some(folder => folder.id === this.draggedData.id);
+    }
+
+    showDropTarget(target) {
+        if (this.dropTarget?.element === target?.element && this.dropTarget?.position === target?.position &&
+            Boolean(this.dropTarget) === Boolean(target)) return;
+
+        this.clearDropIndicators();
+        this.dropTarget = target;
+        if (!target) return;
+
+        if (target.element) {
+            target.element.classList.add(`drop-${target.position}`);
+        } else {
+            document.body.classList.add('drop-page');
+        }
+    }
+
+    clearDropIndicators() {
+        document.querySelectorAll('.drop-before, .drop-after, .drop-into').forEach(element => {
+            element.classList.remove('drop-before', 'drop-after', 'drop-into');
+        });
+        document.body.classList.remove('drop-page');
+        this.dropTarget = null;
     }
 
     clearDragEffects() {
-        document.querySelectorAll('.bookmark-card').forEach(card => {
-            card.classList.remove('drag-over', 'dragging');
+        this.clearDropIndicators();
+        document.querySelectorAll('.dragging').forEach(card => {
+            card.classList.remove('dragging');
         });
     }
 
-    // FIX: Add a handler for reordering favorites
-    async reorderFavorites(draggedBookmark, targetBookmark) {
+    async dropDragged(target) {
+        const ids = this.draggedIds;
+        const dragged = this.draggedData;
+
+        if (target.bookmark) {
+            this.reorderFavorites(dragged, target.bookmark, target.position);
+        } else if (ids.length > 1) {
+            await this.app.bulkMove(ids, target.parentId);
+        } else if (target.position === 'into') {
+            await this.moveIntoFolder(dragged, target.parentId);
+        } else {
+            await this.reorderChromeBookmark(dragged, target.parentId, target.index);
+        }
+    }
+
+    // Favorites keep their own order, separate from where the bookmarks sit in the tree
+    async reorderFavorites(draggedBookmark, targetBookmark, position) {
         // Call the data manager to handle array reordering and saving
-        this.app.bookmarks.reorderFavorite(draggedBookmark.id, targetBookmark.id);
-        
+        this.app.bookmarks.reorderFavorite(draggedBookmark.id, targetBookmark.id, position);
+
         // Refresh the current view to show the new order
         this.app.ui.updateDisplay(this.app.currentView, this.app.currentFolder);
     }
 
-    // FIX: Renamed this method for clarity
-    async reorderChromeBookmark(draggedBookmark, targetBookmark) {
+    // Moves a bookmark or folder to a new position in the Chrome bookmark tree
+    async reorderChromeBookmark(dragged, parentId, index) {
         try {
-            // Get the target bookmark's index
-            const targetIndex = await this.getBookmarkIndex(targetBookmark.id);
-            
-            // Move the dragged bookmark to the target position
-            await chrome.bookmarks.move(draggedBookmark.id, {
-                parentId: targetBookmark.parentId,
-                index: targetIndex
-            });
-            
-            // Refresh the current view
-            await this.app.bookmarks.load();
-            this.app.ui.updateDisplay(this.app.currentView, this.app.currentFolder);
-            
+            await this.app.moveBookmark(dragged.id, { parentId, index });
+
+            // The in-memory model is already updated, so just re-render
+            this.app.refreshCurrentView();
+
         } catch (error) {
             console.error('Error reordering bookmark:', error);
-            // Could show a toast notification here instead of console.error
+            this.app.showErrorMessage(`Failed to move ${dragged.url ? 'bookmark' : 'folder'}`);
         }
     }
 
-    async getBookmarkIndex(bookmarkId) {
+    async moveIntoFolder(dragged, folderId) {
+        if (dragged.parentId === folderId) return;
+
         try {
-            const bookmark = await chrome.bookmarks.get(bookmarkId);
-            if (bookmark?.[0]?.parentId) {
-                const siblings = await chrome.bookmarks.getChildren(bookmark[0].parentId);
-                const index = siblings.findIndex(child => child.id === bookmarkId);
-                return index >= 0 ? index : 0;
-            }
+            await this.app.moveBookmark(dragged.id, { parentId: folderId });
+            this.app.refreshCurrentView();
+
+            const folder = this.app.bookmarks.getFolder(folderId);
+            this.app.showSuccessMessage(`Moved "${dragged.title || 'Untitled'}" to ${folder?.title || 'folder'}`, {
+                action: this.app.createUndoAction()
+            });
         } catch (error) {
-            console.error('Error getting bookmark index:', error);
+            console.error('Error moving into folder:', error);
+            this.app.showErrorMessage(`Failed to move ${dragged.url ? 'bookmark' : 'folder'}`);
         }
-        return 0;
+    }
+
+    // Links dragged from the address bar, another tab or another app.
+    // text/uri-list holds the URLs; text/html, when present, has their link text.
+    getDroppedLinks(dataTransfer) {
+        const urls = dataTransfer.getData('text/uri-list')
+            .split(/\r?\n/)
+            .map(line => line.trim())
+            .filter(line => line && !line.startsWith('#'))
+            .filter(url => /^(https?|ftp|file):/i.test(url));
+
+        const titles = new Map();
+        const html = dataTransfer.getData('text/html');
+        if (html) {
+            const doc = new DOMParser().parseFromString(html, 'text/html');
+            doc.querySelectorAll('a[href]').forEach(anchor => {
+                const title = anchor.textContent.trim();
+                if (title && !titles.has(anchor.href)) titles.set(anchor.href, title);
+            });
+        }
+
+        return [...new Set(urls)].map(url => ({ url, title: titles.get(url) }));
     }
 
     destroy() {
+        document.removeEventListener('dragover', this.boundMethods.handleDragOver);
+        document.removeEventListener('dragleave', this.boundMethods.handleDragLeave);
+        document.removeEventListener('drop', this.boundMethods.handleDrop);
+
         // Clean up all drag listeners
-        document.querySelectorAll('.bookmark-card[draggable="true"]').forEach(card => {
+        document.querySelectorAll('[draggable="true"]').forEach(card => {
             this.removeDragListeners(card);
             card.draggable = false;
             delete card.bookmarkData;
+            delete card.folderData;
         });
-        
+
         this.clearDragEffects();
         this.draggedElement = null;
         this.draggedData = null;
+        this.draggedIds = [];
     }
-}
\ No newline at end of file
+}
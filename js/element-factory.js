@@ -1,32 +1,52 @@
 // Element creation factory module
+import { FuzzySearch } from './fuzzy-search.js';
+import { MarkdownRenderer } from './markdown.js';
+
 export class ElementFactory {
-    constructor(dragDropManager) {
+    constructor(dragDropManager, favicons = null, tags = null, notes = null) {
         this.dragDropManager = dragDropManager;
+        this.favicons = favicons;
+        this.tags = tags;
+        this.notes = notes;
+        this.search = new FuzzySearch();
+        this.markdown = new MarkdownRenderer();
     }
 
-    createBookmarkCard(bookmark, isFavorite = false) {
+    createBookmarkCard(bookmark, isFavorite = false, highlightTerms = []) {
         const card = document.createElement('a');
         card.href = bookmark.url;
         card.target = '_blank';
         card.className = 'bookmark-card';
         card.dataset.id = bookmark.id;
 
-        // Create action buttons
+        // Create selection checkbox and action buttons
+        const checkbox = this.createSelectCheckbox();
         const actionsDiv = this.createActionButtons(isFavorite);
         
         // Create favicon
         const favicon = this.createFavicon(bookmark.url);
         
         // Create text content
-        const nameDiv = this.createTextElement('div', 'bookmark-name', bookmark.title || 'Untitled');
-        const urlDiv = this.createTextElement('div', 'bookmark-url', this.getDomainFromUrl(bookmark.url));
+        const nameDiv = this.createHighlightedElement('div', 'bookmark-name', bookmark.title || 'Untitled', highlightTerms);
+        const urlDiv = this.createHighlightedElement('div', 'bookmark-url', this.getDomainFromUrl(bookmark.url), highlightTerms);
         
         // Assemble card
+        card.appendChild(checkbox);
         card.appendChild(actionsDiv);
         card.appendChild(favicon);
         card.appendChild(nameDiv);
         card.appendChild(urlDiv);
 
+        const tags = this.tags?.getTags(bookmark.id) || [];
+        if (tags.length > 0) {
+            card.appendChild(this.createTagChips(tags, highlightTerms));
+        }
+
+        const note = this.notes?.get(bookmark.id);
+        if (note) {
+            card.appendChild(this.createNotePreview(note));
+        }
+
         // Make draggable if dragDropManager is available
         if (this.dragDropManager) {
             this.dragDropManager.makeDraggable(card, bookmark);
@@ -35,6 +55,16 @@ export class ElementFactory {
         return card;
     }
 
+    createSelectCheckbox() {
+        const checkbox = document.createElement('span');
+        checkbox.className = 'select-checkbox';
+        checkbox.setAttribute('role', 'checkbox');
+        checkbox.setAttribute('aria-checked', 'false');
+        checkbox.setAttribute('aria-label', 'Select bookmark');
+        checkbox.title = 'Select (Ctrl+click, Shift+click for a range)';
+        return checkbox;
+    }
+
     createActionButtons(isFavorite) {
         const actionsDiv = document.createElement('div');
         actionsDiv.className = 'bookmark-actions';
@@ -62,14 +92,21 @@ export class ElementFactory {
         return button;
     }
 
+    // Starts with the cached icon or the letter tile; icons not looked up yet are swapped in when they arrive
     createFavicon(url) {
         const favicon = document.createElement('img');
-        favicon.src = this.getFaviconUrl(url);
+        const cached = this.favicons?.peek(url);
+        favicon.src = cached || this.generateFallbackIcon(url);
         favicon.alt = 'Favicon';
         favicon.className = 'bookmark-favicon';
         favicon.onerror = () => {
+            favicon.onerror = null;
             favicon.src = this.generateFallbackIcon(url);
         };
+
+        this.favicons?.get(url).then(dataUrl => {
+            if (dataUrl && dataUrl !== cached) favicon.src = dataUrl;
+        });
         return favicon;
     }
 
@@ -80,24 +117,102 @@ export class ElementFactory {
         return element;
     }
 
-    createFolderCard(folder) {
+    // Text element with the characters matched by the search terms wrapped in <mark>
+    createHighlightedElement(tag, className, text, terms = []) {
+        const element = this.createTextElement(tag, className, '');
+        const ranges = this.search.getHighlightRanges(text, terms);
+        let position = 0;
+
+        ranges.forEach(([start, end]) => {
+            if (start > position) {
+                element.appendChild(document.createTextNode(text.slice(position, start)));
+            }
+            element.appendChild(this.createTextElement('mark', 'search-highlight', text.slice(start, end)));
+            position = end;
+        });
+        
+        if (position < text.length) {
+            element.appendChild(document.createTextNode(text.slice(position)));
+        }
+
+        return element;
+    }
+
+    getHighlightTerms(query = '') {
+        return query.trim() ? this.search.parseQuery(query).terms : [];
+    }
+
+    // Clicking a chip shows every bookmark with that tag
+    createTagChips(tags, highlightTerms = []) {
+        const list = document.createElement('div');
+        list.className = 'bookmark-tags';
+
+        tags.forEach(tag => {
+            const chip = this.createHighlightedElement('button', 'tag-chip', tag, highlightTerms);
+            chip.type = 'button';
+            chip.dataset.tag = tag;
+            chip.title = `Show bookmarks tagged ${tag}`;
+            list.appendChild(chip);
+        });
+
+        return list;
+    }
+
+    // A 📝 marker that shows the rendered note while hovered or focused
+    createNotePreview(note) {
+        const wrapper = document.createElement('span');
+        wrapper.className = 'item-note';
+
+        const marker = this.createTextElement('span', 'note-marker', '📝');
+        marker.tabIndex = 0;
+        marker.setAttribute('role', 'button');
+        marker.setAttribute('aria-label', `Note: ${this.markdown.toPlainText(note)}`);
+
+        const preview = document.createElement('div');
+        preview.className = 'note-preview';
+        preview.appendChild(this.markdown.render(note));
+
+        wrapper.appendChild(marker);
+        wrapper.appendChild(preview);
+        return wrapper;
+    }
+
+    createTagFilter({ name, count }, isSelected) {
+        const button = this.createTextElement('button', 'tag-filter', name);
+        button.type = 'button';
+        button.dataset.tag = name;
+        button.setAttribute('aria-pressed', String(isSelected));
+        button.classList.toggle('selected', isSelected);
+        button.appendChild(this.createTextElement('span', 'tag-count', String(count)));
+        return button;
+    }
+
+    createFolderCard(folder, subfolderCount = 0) {
         const card = document.createElement('div');
         card.className = 'folder-card';
         card.dataset.folderId = folder.id;
 
+        let countText = `${folder.children?.length || 0} bookmarks`;
+        if (subfolderCount > 0) {
+            countText += ` · ${subfolderCount} folders`;
+        }
+
         const nameDiv = this.createTextElement('div', 'folder-name', folder.title || 'Untitled Folder');
-        const countDiv = this.createTextElement('div', 'folder-count', `${folder.children?.length || 0} bookmarks`);
+        const countDiv = this.createTextElement('div', 'folder-count', countText);
         
         card.appendChild(nameDiv);
         card.appendChild(countDiv);
 
+        if (this.dragDropManager) {
+            this.dragDropManager.makeFolderDraggable(card, folder);
+        }
+
         return card;
     }
 
     createCreateFolderCard() {
         const card = document.createElement('div');
         card.className = 'create-folder-card';
-        card.id = 'create-folder-card';
 
         const iconDiv = this.createTextElement('div', 'create-folder-icon', '📁+');
         const nameDiv = this.createTextElement('div', 'folder-name', 'Create New Folder');
@@ -108,11 +223,40 @@ export class ElementFactory {
         return card;
     }
 
-    createReadingListItem(item) {
+    // Builds "Folders › Bookmarks Bar › Work" where every ancestor is clickable
+    createBreadcrumb(path) {
+        const fragment = document.createDocumentFragment();
+        const rootItem = this.createBreadcrumbItem('Folders', '');
+        fragment.appendChild(rootItem);
+
+        path.forEach((folder, index) => {
+            fragment.appendChild(this.createTextElement('span', 'breadcrumb-separator', '›'));
+            
+            if (index === path.length - 1) {
+                const current = this.createTextElement('span', 'breadcrumb-current', folder.title || 'Untitled Folder');
+                current.setAttribute('aria-current', 'page');
+                fragment.appendChild(current);
+            } else {
+                fragment.appendChild(this.createBreadcrumbItem(folder.title || 'Untitled Folder', folder.id));
+            }
+        });
+
+        return fragment;
+    }
+
+    createBreadcrumbItem(text, folderId) {
+        const item = this.createTextElement('button', 'breadcrumb-item', text);
+        item.type = 'button';
+        item.dataset.folderId = folderId;
+        return item;
+    }
+
+    // details: { note, snooze: { due, label } or null, offline: 'saving', 'saved' or null }
+    createReadingListItem(item, highlightTerms = [], { note = '', snooze = null, offline = null } = {}) {
         const readingItem = document.createElement('a');
         readingItem.href = item.url;
         readingItem.target = '_blank';
-        readingItem.className = 'reading-item';
+        readingItem.className = item.hasBeenRead ? 'reading-item is-read' : 'reading-item';
         readingItem.dataset.id = item.url;
         // FIX: Explicitly set draggable to false since reordering is not supported
         readingItem.draggable = false;
@@ -123,25 +267,171 @@ export class ElementFactory {
         const contentDiv = document.createElement('div');
         contentDiv.className = 'reading-content';
         
-        const titleDiv = this.createTextElement('div', 'reading-title', item.title || 'Untitled');
-        const urlDiv = this.createTextElement('div', 'reading-url', this.getDomainFromUrl(item.url));
+        const titleDiv = this.createHighlightedElement('div', 'reading-title', item.title || 'Untitled', highlightTerms);
+        const urlDiv = this.createHighlightedElement('div', 'reading-url', this.getDomainFromUrl(item.url), highlightTerms);
         
         contentDiv.appendChild(titleDiv);
         contentDiv.appendChild(urlDiv);
+        if (snooze) {
+            contentDiv.appendChild(this.createSnoozeBadge(snooze));
+        }
+        if (offline === 'saved') {
+            const badge = this.createTextElement('span', 'reading-badge', '📥 Offline');
+            badge.title = 'Saved for offline reading';
+            contentDiv.appendChild(badge);
+        }
         
         const actionsDiv = document.createElement('div');
         actionsDiv.className = 'reading-actions';
         
+        if (offline === 'saved') {
+            actionsDiv.appendChild(this.createButton('read-offline-btn', '📄', 'Read offline copy'));
+        } else {
+            const saveBtn = this.createButton('save-offline-btn', offline === 'saving' ? '⏳' : '💾', offline === 'saving' ? 'Saving…' : 'Save for offline');
+            saveBtn.disabled = offline === 'saving';
+            actionsDiv.appendChild(saveBtn);
+        }
+        if (snooze && !snooze.due) {
+            actionsDiv.appendChild(this.createButton('wake-reading-btn', '🔔', 'Show now'));
+        }
+        actionsDiv.appendChild(this.createButton('snooze-reading-btn', '⏰', snooze && !snooze.due ? 'Change snooze' : 'Snooze'));
+        
+        const toggleReadBtn = item.hasBeenRead ?
+            this.createButton('toggle-read-btn', '↩️', 'Mark as unread') :
+            this.createButton('toggle-read-btn', '✅', 'Mark as read');
         const removeBtn = this.createButton('remove-reading-btn', '🗑️', 'Remove from reading list');
+        actionsDiv.appendChild(toggleReadBtn);
         actionsDiv.appendChild(removeBtn);
         
         readingItem.appendChild(favicon);
         readingItem.appendChild(contentDiv);
+        if (note) {
+            readingItem.appendChild(this.createNotePreview(note));
+        }
         readingItem.appendChild(actionsDiv);
 
         return readingItem;
     }
 
+    createSnoozeBadge(snooze) {
+        const badge = document.createElement('span');
+        badge.className = snooze.due ? 'reading-badge due' : 'reading-badge';
+        badge.textContent = snooze.due ? 'Due' : `⏰ ${snooze.label}`;
+        badge.title = snooze.due ? `Back from a snooze (${snooze.label})` : `Snoozed until ${snooze.label}`;
+        return badge;
+    }
+
+    createLinkHealthItem(bookmark, result) {
+        const item = document.createElement('div');
+        item.className = 'reading-item link-health-item';
+        item.dataset.id = bookmark.id;
+
+        const favicon = this.createFavicon(bookmark.url);
+        favicon.className = 'reading-favicon';
+
+        const contentDiv = document.createElement('div');
+        contentDiv.className = 'reading-content';
+
+        const title = this.createTextElement('a', 'reading-title', bookmark.title || 'Untitled');
+        title.href = bookmark.url;
+        title.target = '_blank';
+
+        const urlDiv = this.createTextElement('div', 'reading-url', bookmark.url);
+        const detail = this.createTextElement('div', 'link-health-detail', this.describeLinkHealth(result));
+
+        contentDiv.appendChild(title);
+        contentDiv.appendChild(urlDiv);
+        contentDiv.appendChild(detail);
+
+        const badge = this.createTextElement('span', `link-health-badge link-health-${result.status}`,
+            result.status === 'redirect' ? 'Redirected' : (result.code ? `${result.code}` : 'Unreachable'));
+
+        const actionsDiv = document.createElement('div');
+        actionsDiv.className = 'reading-actions';
+        if (result.finalUrl) {
+            actionsDiv.appendChild(this.createButton('health-redirect-btn', '↪', 'Update to redirect target'));
+        }
+        actionsDiv.appendChild(this.createButton('health-recheck-btn', '🔄', 'Check again'));
+        actionsDiv.appendChild(this.createButton('health-delete-btn', '🗑️', 'Delete bookmark'));
+
+        item.appendChild(favicon);
+        item.appendChild(contentDiv);
+        item.appendChild(badge);
+        item.appendChild(actionsDiv);
+
+        return item;
+    }
+
+    // entries: [{ bookmark, path, isFavorite }] - every copy of one page
+    createDuplicateGroup(key, entries) {
+        const group = document.createElement('div');
+        group.className = 'duplicate-group';
+
+        const header = this.createTextElement('div', 'duplicate-group-header', `${key} · ${entries.length} copies`);
+        group.appendChild(header);
+
+        entries.forEach(({ bookmark, path, isFavorite }) => {
+            const item = document.createElement('div');
+            item.className = 'reading-item duplicate-item';
+            item.dataset.id = bookmark.id;
+
+            const favicon = this.createFavicon(bookmark.url);
+            favicon.className = 'reading-favicon';
+
+            const contentDiv = document.createElement('div');
+            contentDiv.className = 'reading-content';
+
+            const title = this.createTextElement('a', 'reading-title', `${isFavorite ? '★ ' : ''}${bookmark.title || 'Untitled'}`);
+            title.href = bookmark.url;
+            title.target = '_blank';
+
+            const details = [path || 'Bookmarks'];
+            if (bookmark.dateAdded) details.push(`added ${new Date(bookmark.dateAdded).toLocaleDateString()}`);
+
+            contentDiv.appendChild(title);
+            contentDiv.appendChild(this.createTextElement('div', 'reading-url', bookmark.url));
+            contentDiv.appendChild(this.createTextElement('div', 'link-health-detail', details.join(' · ')));
+
+            const keepButton = this.createTextElement('button', 'btn btn-secondary keep-duplicate-btn', 'Keep this');
+            keepButton.type = 'button';
+            keepButton.title = 'Keep this copy and delete the others';
+
+            item.appendChild(favicon);
+            item.appendChild(contentDiv);
+            item.appendChild(keepButton);
+            group.appendChild(item);
+        });
+
+        return group;
+    }
+
+    describeLinkHealth(result) {
+        const parts = [];
+        if (result.finalUrl) parts.push(`→ ${result.finalUrl}`);
+        if (result.error) parts.push(result.error);
+        if (result.checkedAt) parts.push(`checked ${this.formatTimeAgo(result.checkedAt)}`);
+        return parts.join(' · ');
+    }
+
+    formatTimeAgo(timestamp) {
+        const minutes = Math.floor((Date.now() - timestamp) / 60000);
+        if (minutes < 1) return 'just now';
+        if (minutes < 60) return `${minutes} min ago`;
+
+        const hours = Math.floor(minutes / 60);
+        if (hours < 24) return `${hours} h ago`;
+
+        const days = Math.floor(hours / 24);
+        return days === 1 ? 'yesterday' : `${days} days ago`;
+    }
+
+    // Where a search result comes from: its folder path or "Reading list"
+    createSourceBadge(source) {
+        const badge = this.createTextElement('div', 'source-badge', source || 'Bookmarks');
+        badge.title = source || 'Bookmarks';
+        return badge;
+    }
+
     createEmptyState(message) {
         const empty = document.createElement('div');
         empty.className = 'empty-state';
@@ -164,15 +454,6 @@ export class ElementFactory {
         }
     }
 
-    getFaviconUrl(url) {
-        try {
-            const domain = new URL(url).hostname;
-            return `https://www.google.com/s2/favicons?domain=${domain}&sz=64`;
-        } catch {
-            return this.generateFallbackIcon(url);
-        }
-    }
-
     generateFallbackIcon(url) {
         try {
             const domain = new URL(url).hostname;
@@ -0,0 +1,147 @@
+// Favicon cache module - site icons without asking a third-party service
+//
+// Icons are looked up per origin: first in Chrome's own favicon store (the
+// "_favicon" endpoint, which only knows sites that were visited), then - unless
+// the remoteFavicons setting is off - as /favicon.ico on the site itself.
+// Results are kept in IndexedDB as { dataUrl, fetchedAt }; a null dataUrl
+// remembers that no icon was found, so the letter tile is used without retrying
+// on every render.
+import { IdbStore } from './idb-store.js';
+
+export class FaviconCache {
+    constructor(settings) {
+        this.settings = settings;
+        this.store = new IdbStore('favicons');
+        this.entries = new Map();
+        this.pending = new Map();
+
+        this.size = 64;
+        this.maxAge = 7 * 24 * 60 * 60 * 1000;
+        this.missMaxAge = 24 * 60 * 60 * 1000;
+        this.timeout = 5000;
+
+        // What _favicon answers for pages it has no icon for
+        this.defaultIcon = null;
+    }
+
+    async load() {
+        try {
+            const entries = await this.store.entries();
+            this.entries = new Map(entries);
+        } catch (error) {
+            console.error('Error loading favicon cache:', error);
+            this.entries = new Map();
+        }
+    }
+
+    getKey(url) {
+        try {
+            const { protocol, origin } = new URL(url);
+            return protocol === 'http:' || protocol === 'https:' ? origin : null;
+        } catch {
+            return null;
+        }
+    }
+
+    // The cached icon for a URL: a data URL, null when the site has none,
+    // undefined when it hasn't been looked up yet
+    peek(url) {
+        const key = this.getKey(url);
+        return key ? this.entries.get(key)?.dataUrl : null;
+    }
+
+    // Resolves to a data URL or null; stale entries are refreshed but kept
+    // when the refresh fails, e.g. offline
+    get(url) {
+        const key = this.getKey(url);
+        if (!key) return Promise.resolve(null);
+
+        const entry = this.entries.get(key);
+        if (entry && !this.isExpired(entry)) return Promise.resolve(entry.dataUrl);
+
+        if (!this.pending.has(key)) {
+            const lookup = this.lookup(url, key)
+                .then(dataUrl => this.remember(key, dataUrl ?? entry?.dataUrl ?? null))
+                .finally(() => this.pending.delete(key));
+            this.pending.set(key, lookup);
+        }
+        return this.pending.get(key);
+    }
+
+    isExpired(entry) {
+        const maxAge = entry.dataUrl ? this.maxAge : this.missMaxAge;
+        return Date.now() - entry.fetchedAt > maxAge;
+    }
+
+    async remember(key, dataUrl) {
+        const entry = { dataUrl, fetchedAt: Date.now() };
+        this.entries.set(key, entry);
+        try {
+            await this.store.set(key, entry);
+        } catch (error) {
+            console.error('Error saving favicon:', error);
+        }
+        return dataUrl;
+    }
+
+    async lookup(url, key) {
+        const local = await this.fetchChromeFavicon(url);
+        if (local) return local;
+
+        if (this.settings.current.remoteFavicons === false) return null;
+        return this.fetchDataUrl(`${key}/favicon.ico`);
+    }
+
+    async fetchChromeFavicon(url) {
+        if (!chrome.runtime?.getURL) return null;
+
+        this.defaultIcon ??= this.fetchDataUrl(this.getChromeFaviconUrl('https://favicon.invalid/'));
+        const [icon, defaultIcon] = await Promise.all([
+            this.fetchDataUrl(this.getChromeFaviconUrl(url)),
+            this.defaultIcon
+        ]);
+        return icon && icon !== defaultIcon ? icon : null;
+    }
+
+    getChromeFaviconUrl(url) {
+        const faviconUrl = new URL(chrome.runtime.getURL('/_favicon/'));
+        faviconUrl.searchParams.set('pageUrl', url);
+        faviconUrl.searchParams.set('size', String(this.size));
+        return faviconUrl.href;
+    }
+
+    // Cross-origin icons only come through with host access (granted for link
+    // checks) or when the site allows it; anything else counts as no icon
+    async fetchDataUrl(url) {
+        try {
+            const response = await fetch(url, {
+                credentials: 'omit',
+                signal: AbortSignal.timeout(this.timeout)
+            });
+            const blob = await response.blob();
+            if (!response.ok || !blob.type.startsWith('image/') || blob.size === 0) return null;
+            return await this.readAsDataUrl(blob);
+        } catch {
+            return null;
+        }
+    }
+
+    readAsDataUrl(blob) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(blob);
+        });
+    }
+
+    async forgetMisses() {
+        const misses = [...this.entries].filter(([, entry]) => !entry.dataUrl).map(([key]) => key);
+        misses.forEach(key => this.entries.delete(key));
+        try {
+            await Promise.all(misses.map(key => this.store.delete(key)));
+        } catch (error) {
+            console.error('Error updating favicon cache:', error);
+        }
+    }
+}
@@ -0,0 +1,82 @@
+// Font library module - fonts uploaded by the user
+//
+// The .woff2/.ttf files are kept in IndexedDB by id as
+// { name, format, data, size, addedAt }, with the file's bytes as data. Each is
+// registered through the FontFace API under a family name of its own, so it
+// never clashes with an installed font that has the same name.
+import { IdbStore } from './idb-store.js';
+
+export class FontLibrary {
+    constructor() {
+        this.store = new IdbStore('fonts');
+        this.fonts = new Map();
+        this.formats = ['woff2', 'ttf'];
+        this.maxSize = 5 * 1024 * 1024;
+    }
+
+    async load() {
+        try {
+            const entries = await this.store.entries();
+            await Promise.all(entries.map(([id, font]) => this.register(id, font).catch(error => {
+                console.error(`Error loading font ${font.name}:`, error);
+            })));
+        } catch (error) {
+            console.error('Error loading fonts:', error);
+        }
+    }
+
+    getFamily(id) {
+        return `visual-bookmarks-font-${id}`;
+    }
+
+    async register(id, font) {
+        const face = new FontFace(this.getFamily(id), font.data);
+        await face.load();
+        document.fonts.add(face);
+        this.fonts.set(id, { id, name: font.name, size: font.size, addedAt: font.addedAt, face });
+    }
+
+    has(id) {
+        return this.fonts.has(id);
+    }
+
+    list() {
+        return [...this.fonts.values()].sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    // Resolves to { id, name }; throws with a message for the user when the file can't be used
+    async add(file) {
+        const format = file.name.split('.').pop().toLowerCase();
+        if (!this.formats.includes(format)) {
+            throw new Error('Only .woff2 and .ttf font files can be added');
+        }
+        if (file.size > this.maxSize) {
+            throw new Error('The font file is larger than 5 MB');
+        }
+
+        const id = String(Date.now());
+        const font = { name: this.getName(file.name), format, data: await file.arrayBuffer(), size: file.size, addedAt: Date.now() };
+        try {
+            await this.register(id, font);
+        } catch {
+            throw new Error('The file could not be read as a font');
+        }
+
+        await this.store.set(id, font);
+        return { id, name: font.name };
+    }
+
+    // "SourceSerif4-Regular.ttf" becomes "SourceSerif4 Regular"
+    getName(filename) {
+        return filename.replace(/\.[^.]+$/, '').replace(/[-_]+/g, ' ').trim() || 'Untitled font';
+    }
+
+    async remove(id) {
+        const font = this.fonts.get(id);
+        if (!font) return;
+
+        document.fonts.delete(font.face);
+        this.fonts.delete(id);
+        await this.store.delete(id);
+    }
+}
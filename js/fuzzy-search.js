@@ -0,0 +1,298 @@
+// Fuzzy search module - ranked, typo-tolerant matching with query operators
+//
+// Supported operators (any of them can be negated with a leading "-"):
+//   site:github.com   hostname is, or is a subdomain of, the value
+//   in:"Work"         bookmark lives in a folder (at any depth) whose title contains the value
+//   is:fav            favorited bookmarks only
+//   is:unread/is:read reading list read state
+//   -word             exclude items whose title or URL contains the word
+export class FuzzySearch {
+    constructor() {
+        this.operators = ['site', 'in', 'is'];
+
+        // Score weights - a title prefix always outranks a URL substring
+        this.weights = {
+            titlePrefix: 100,
+            titleWordStart: 80,
+            titleSubstring: 60,
+            titleFuzzy: 40,
+            titleTypo: 30,
+            hostSubstring: 45,
+            urlSubstring: 35,
+            urlFuzzy: 15,
+            urlTypo: 10,
+            noteWordStart: 25,
+            noteSubstring: 20,
+            favoriteBoost: 20
+        };
+    }
+
+    parseQuery(raw = '') {
+        const parsed = { terms: [], excludes: [], filters: [] };
+        const tokenPattern = /(-?)(?:(\w+):)?(?:"([^"]*)"?|(\S+))/g;
+        let match;
+
+        while ((match = tokenPattern.exec(raw)) !== null) {
+            const [, negation, key, quoted, bare] = match;
+            const value = (quoted ?? bare ?? '').toLowerCase();
+            const operator = key?.toLowerCase();
+
+            if (operator && this.operators.includes(operator)) {
+                if (value) parsed.filters.push({ key: operator, value, negated: Boolean(negation) });
+                continue;
+            }
+
+            // Unknown "key:" prefixes (e.g. "https://...") are searched as plain text
+            const text = key ? `${key.toLowerCase()}:${value}` : value;
+            if (!text) continue;
+
+            if (negation) {
+                parsed.excludes.push(text);
+            } else {
+                parsed.terms.push(text);
+            }
+        }
+
+        return parsed;
+    }
+
+    isEmptyQuery(parsed) {
+        return !parsed.terms.length && !parsed.excludes.length && !parsed.filters.length;
+    }
+
+    // Returns [{ item, score }] best first; items that don't match are dropped
+    rank(items, query, accessors = {}) {
+        const parsed = typeof query === 'string' ? this.parseQuery(query) : query;
+        const results = [];
+
+        items.forEach((item, position) => {
+            const score = this.scoreItem(item, parsed, accessors);
+            if (score !== null) results.push({ item, score, position });
+        });
+
+        // Equal scores keep their original (storage) order
+        results.sort((a, b) => b.score - a.score || a.position - b.position);
+        return results.map(({ item, score }) => ({ item, score }));
+    }
+
+    filter(items, query, accessors = {}) {
+        if (!query.trim()) return items;
+        return this.rank(items, query, accessors).map(result => result.item);
+    }
+
+    scoreItem(item, parsed, accessors) {
+        const title = (accessors.getTitle ? accessors.getTitle(item) : item.title) || '';
+        const url = (accessors.getUrl ? accessors.getUrl(item) : item.url) || '';
+        const lowerTitle = title.toLowerCase();
+        const lowerUrl = url.toLowerCase();
+        const hostname = this.getHostname(url);
+        const lowerNotes = (accessors.getNotes?.(item) || '').toLowerCase();
+
+        if (!parsed.filters.every(filter => this.passesFilter(filter, item, hostname, accessors))) {
+            return null;
+        }
+        if (parsed.excludes.some(word => lowerTitle.includes(word) || lowerUrl.includes(word))) {
+            return null;
+        }
+
+        let total = 0;
+        for (const term of parsed.terms) {
+            const score = Math.max(
+                this.scoreTitle(term, lowerTitle),
+                this.scoreUrl(term, lowerUrl, hostname),
+                this.scoreNotes(term, lowerNotes)
+            );
+            if (score <= 0) return null;
+            total += score;
+        }
+
+        if (accessors.isFavorite?.(item)) {
+            total += this.weights.favoriteBoost;
+        }
+        return total;
+    }
+
+    passesFilter(filter, item, hostname, accessors) {
+        let passes = false;
+
+        switch (filter.key) {
+            case 'site':
+                passes = Boolean(hostname) && (
+                    hostname === filter.value ||
+                    hostname.endsWith(`.${filter.value}`) ||
+                    (!filter.value.includes('.') && hostname.includes(filter.value))
+                );
+                break;
+            case 'in': {
+                const path = accessors.getFolderPath?.(item) || [];
+                passes = path.some(folderTitle => folderTitle.toLowerCase().includes(filter.value));
+                break;
+            }
+            case 'is':
+                passes = this.passesFlag(filter.value, item, accessors);
+                break;
+        }
+
+        return filter.negated ? !passes : passes;
+    }
+
+    passesFlag(flag, item, accessors) {
+        const isRead = accessors.isRead?.(item);
+
+        switch (flag) {
+            case 'fav':
+            case 'favorite':
+            case 'starred':
+                return Boolean(accessors.isFavorite?.(item));
+            case 'unread':
+                return isRead === false;
+            case 'read':
+                return isRead === true;
+            default:
+                return false;
+        }
+    }
+
+    scoreTitle(term, lowerTitle) {
+        if (!lowerTitle) return 0;
+
+        const index = lowerTitle.indexOf(term);
+        if (index === 0) return this.weights.titlePrefix;
+        if (index > 0) {
+            return this.isWordStart(lowerTitle, index) ? this.weights.titleWordStart : this.weights.titleSubstring;
+        }
+
+        const fuzzy = this.subsequenceMatch(term, lowerTitle);
+        if (fuzzy) return this.weights.titleFuzzy * fuzzy.compactness;
+
+        return this.typoMatch(term, lowerTitle) ? this.weights.titleTypo : 0;
+    }
+
+    scoreUrl(term, lowerUrl, hostname) {
+        if (!lowerUrl) return 0;
+        if (hostname.includes(term)) return this.weights.hostSubstring;
+        if (lowerUrl.includes(term)) return this.weights.urlSubstring;
+
+        const fuzzy = this.subsequenceMatch(term, hostname);
+        if (fuzzy) return this.weights.urlFuzzy * fuzzy.compactness;
+
+        return this.typoMatch(term, hostname) ? this.weights.urlTypo : 0;
+    }
+
+    // Notes are long free text, so only exact substrings count there
+    scoreNotes(term, lowerNotes) {
+        const index = lowerNotes.indexOf(term);
+        if (index === -1) return 0;
+        return this.isWordStart(lowerNotes, index) ? this.weights.noteWordStart : this.weights.noteSubstring;
+    }
+
+    // Characters of the term in order, e.g. "gthb" in "github"; rejects widely scattered matches
+    subsequenceMatch(term, text) {
+        if (term.length < 2) return null;
+
+        const indices = [];
+        let searchFrom = 0;
+        for (const char of term) {
+            const index = text.indexOf(char, searchFrom);
+            if (index === -1) return null;
+            indices.push(index);
+            searchFrom = index + 1;
+        }
+
+        const span = indices[indices.length - 1] - indices[0] + 1;
+        if (span > term.length * 3) return null;
+
+        return { indices, compactness: term.length / span };
+    }
+
+    // A word (or word prefix) within a small edit distance, e.g. "gihtub" for "github"
+    typoMatch(term, text) {
+        const maxDistance = term.length >= 7 ? 2 : term.length >= 4 ? 1 : 0;
+        if (maxDistance === 0) return null;
+
+        const wordPattern = /[\p{L}\p{N}]+/gu;
+        let match;
+        while ((match = wordPattern.exec(text)) !== null) {
+            const word = match[0];
+            const candidates = [word, word.slice(0, term.length)];
+            if (candidates.some(candidate => this.editDistance(term, candidate, maxDistance) <= maxDistance)) {
+                return { start: match.index, end: match.index + Math.min(word.length, term.length) };
+            }
+        }
+        return null;
+    }
+
+    // Optimal string alignment distance (Levenshtein plus adjacent transpositions)
+    editDistance(a, b, limit = Infinity) {
+        if (Math.abs(a.length - b.length) > limit) return limit + 1;
+
+        let previousPrevious = null;
+        let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            let rowMin = i;
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+                if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    current[j] = Math.min(current[j], previousPrevious[j - 2] + 1);
+                }
+                rowMin = Math.min(rowMin, current[j]);
+            }
+            if (rowMin > limit) return limit + 1;
+            previousPrevious = previous;
+            previous = current;
+        }
+
+        return previous[b.length];
+    }
+
+    // Character ranges of `text` matched by any of the terms, merged and sorted
+    getHighlightRanges(text, terms) {
+        if (!text || !terms?.length) return [];
+
+        const lowerText = text.toLowerCase();
+        const ranges = [];
+
+        terms.forEach(term => {
+            const index = lowerText.indexOf(term);
+            if (index > -1) {
+                ranges.push([index, index + term.length]);
+                return;
+            }
+
+            const fuzzy = this.subsequenceMatch(term, lowerText);
+            if (fuzzy) {
+                fuzzy.indices.forEach(i => ranges.push([i, i + 1]));
+                return;
+            }
+
+            const typo = this.typoMatch(term, lowerText);
+            if (typo) ranges.push([typo.start, typo.end]);
+        });
+
+        ranges.sort((a, b) => a[0] - b[0]);
+        return ranges.reduce((merged, range) => {
+            const last = merged[merged.length - 1];
+            if (last && range[0] <= last[1]) {
+                last[1] = Math.max(last[1], range[1]);
+            } else {
+                merged.push([...range]);
+            }
+            return merged;
+        }, []);
+    }
+
+    isWordStart(text, index) {
+        return index === 0 || /[^\p{L}\p{N}]/u.test(text[index - 1]);
+    }
+
+    getHostname(url) {
+        try {
+            return new URL(url).hostname.toLowerCase();
+        } catch {
+            return '';
+        }
+    }
+}
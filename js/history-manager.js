@@ -0,0 +1,81 @@
+// Operation journal for undo / redo
+//
+// Each operation is { label, undo, redo } where undo and redo are async
+// functions. Bookmarks that are deleted and restored come back with a new
+// Chrome id, so operations store the original id and look it up through
+// resolveId() when they run.
+export class HistoryManager {
+    constructor(limit = 50) {
+        this.limit = limit;
+        this.undoStack = [];
+        this.redoStack = [];
+        this.idAliases = new Map();
+        this.isApplying = false;
+    }
+
+    record(operation) {
+        // Undoing or redoing must not record new entries
+        if (this.isApplying) return;
+
+        this.undoStack.push(operation);
+        if (this.undoStack.length > this.limit) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+    }
+
+    async undo() {
+        return this.apply(this.undoStack, this.redoStack, 'undo');
+    }
+
+    async redo() {
+        return this.apply(this.redoStack, this.undoStack, 'redo');
+    }
+
+    async apply(fromStack, toStack, direction) {
+        const operation = fromStack.pop();
+        if (!operation) return null;
+
+        this.isApplying = true;
+        try {
+            await operation[direction]();
+            toStack.push(operation);
+            return operation;
+        } catch (error) {
+            // The bookmark changed underneath us (e.g. removed elsewhere); drop the entry
+            console.error(`Error during ${direction} of "${operation.label}":`, error);
+            throw error;
+        } finally {
+            this.isApplying = false;
+        }
+    }
+
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    aliasId(oldId, newId) {
+        if (oldId !== newId) {
+            this.idAliases.set(oldId, newId);
+        }
+    }
+
+    resolveId(id) {
+        const seen = new Set();
+        while (this.idAliases.has(id) && !seen.has(id)) {
+            seen.add(id);
+            id = this.idAliases.get(id);
+        }
+        return id;
+    }
+
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.idAliases.clear();
+    }
+}
@@ -0,0 +1,71 @@
+// IndexedDB key-value store module
+//
+// chrome.storage.local is meant for small JSON values; images and files go in
+// IndexedDB instead. Each store gets a database of its own, so adding a store
+// never needs a schema upgrade of another one.
+export class IdbStore {
+    constructor(name) {
+        this.name = `visual-bookmarks-${name}`;
+        this.storeName = 'entries';
+        this.db = null;
+    }
+
+    open() {
+        if (!this.db) {
+            this.db = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.name, 1);
+                request.onupgradeneeded = () => request.result.createObjectStore(this.storeName);
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+            // Let the next call try again instead of failing forever
+            this.db.catch(() => {
+                this.db = null;
+            });
+        }
+        return this.db;
+    }
+
+    async request(mode, callback) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.storeName, mode);
+            const request = callback(transaction.objectStore(this.storeName));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    get(key) {
+        return this.request('readonly', store => store.get(key));
+    }
+
+    // Returns [[key, value], ...]
+    async entries() {
+        const entries = [];
+        await this.request('readonly', store => {
+            const cursorRequest = store.openCursor();
+            cursorRequest.onsuccess = () => {
+                const cursor = cursorRequest.result;
+                if (!cursor) return;
+                entries.push([cursor.key, cursor.value]);
+                cursor.continue();
+            };
+            return cursorRequest;
+        });
+        return entries;
+    }
+
+    set(key, value) {
+        return this.request('readwrite', store => store.put(value, key));
+    }
+
+    delete(key) {
+        return this.request('readwrite', store => store.delete(key));
+    }
+
+    clear() {
+        return this.request('readwrite', store => store.clear());
+    }
+}
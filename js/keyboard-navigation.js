@@ -0,0 +1,338 @@
+// Keyboard navigation for the bookmark, folder and reading list grids
+//
+// Each grid uses a roving tabindex: one item is reachable with Tab, the arrow
+// keys move between items. Up/Down move by as many items as the grid shows in
+// a row, which changes with the window width.
+export class KeyboardNavigation {
+    constructor(app) {
+        this.app = app;
+        this.itemSelector = '.bookmark-card, .folder-card, .create-folder-card, .reading-item, .duplicate-item';
+        this.gridSelector = '.grid, .reading-list-grid';
+
+        // Re-rendering replaces the cards; this is what gets focus back afterwards
+        this.focusKey = null;
+
+        this.shortcuts = [
+            {
+                group: 'Moving around',
+                keys: [
+                    ['← ↑ → ↓', 'Move between bookmarks and folders'],
+                    ['Home / End', 'First / last item'],
+                    ['Enter', 'Open bookmark or folder'],
+                    ['Ctrl+Enter', 'Open bookmark in a background tab'],
+                    ['Alt+← →', 'Move bookmark or folder one place'],
+                    ['Alt+↑ ↓', 'Move bookmark or folder one row']
+                ]
+            },
+            {
+                group: 'Bookmark actions',
+                keys: [
+                    ['F', 'Add to / remove from favorites'],
+                    ['E', 'Edit'],
+                    ['R', 'Add to reading list'],
+                    ['M', 'Mark reading list item read / unread'],
+                    ['S', 'Snooze reading list item'],
+                    ['Delete', 'Delete (or remove from reading list)'],
+                    ['Space', 'Select']
+                ]
+            },
+            {
+                group: 'Everywhere',
+                keys: [
+                    ['Ctrl+Shift+P', 'Command palette'],
+                    ['/', 'Search the web'],
+                    ['Ctrl+K', 'Search bookmarks'],
+                    ['Ctrl+B', 'Add bookmark'],
+                    ['Ctrl+A', 'Select all'],
+                    ['Ctrl+Z', 'Undo'],
+                    ['Ctrl+Shift+Z / Ctrl+Y', 'Redo'],
+                    ['Esc', 'Close dialog, clear selection or search'],
+                    ['?', 'Show this list']
+                ]
+            }
+        ];
+    }
+
+    init() {
+        this.renderShortcuts();
+
+        document.addEventListener('focusin', e => {
+            const item = e.target.closest?.(this.itemSelector);
+            if (item) this.setCurrent(item);
+        });
+    }
+
+    // Called for every keydown; returns true when the key was handled here
+    handleKeydown(e) {
+        if (this.app.ui.isTextInput(e.target) || this.isModalOpen()) return false;
+
+        if (e.key === '?' && !e.ctrlKey && !e.metaKey && !e.altKey) {
+            e.preventDefault();
+            this.showShortcuts();
+            return true;
+        }
+
+        const item = e.target.closest?.(this.itemSelector);
+        if (!item) return false;
+
+        const handled = e.altKey ? this.handleReorderKey(e, item) : this.handleItemKey(e, item);
+        if (handled) e.preventDefault();
+        return handled;
+    }
+
+    handleItemKey(e, item) {
+        const modified = e.ctrlKey || e.metaKey;
+        const moves = {
+            'ArrowLeft': () => this.move(item, -1),
+            'ArrowRight': () => this.move(item, 1),
+            'ArrowUp': () => this.move(item, -this.getColumnCount(item)),
+            'ArrowDown': () => this.move(item, this.getColumnCount(item)),
+            'Home': () => this.focusItem(this.getItems()[0]),
+            'End': () => this.focusItem(this.getItems().at(-1))
+        };
+
+        if (moves[e.key] && !modified) {
+            moves[e.key]();
+            return true;
+        }
+
+        if (e.key === 'Enter') {
+            if (modified) return this.openInBackground(item);
+            item.click();
+            return true;
+        }
+
+        if (modified || e.shiftKey) return false;
+        return item.classList.contains('bookmark-card') ?
+            this.handleBookmarkKey(e.key, item) :
+            this.handleReadingKey(e.key, item);
+    }
+
+    handleBookmarkKey(key, card) {
+        const ui = this.app.ui;
+        const actions = {
+            'f': () => ui.handleFavoriteAction(card),
+            'e': () => ui.handleEditAction(card),
+            'r': () => ui.handleAddToReadingAction(card),
+            'Delete': () => ui.handleDeleteAction(card),
+            'Backspace': () => ui.handleDeleteAction(card),
+            ' ': () => ui.selection.toggle(card.dataset.id)
+        };
+
+        const action = actions[key.length === 1 ? key.toLowerCase() : key];
+        if (!action) return false;
+
+        this.rememberNeighbour(card, key === 'Delete' || key === 'Backspace');
+        action();
+        return true;
+    }
+
+    handleReadingKey(key, item) {
+        if (!item.querySelector('.remove-reading-btn')) return false;
+
+        if (key === 's' || key === 'S') {
+            this.rememberNeighbour(item, false);
+            this.app.ui.handleSnoozeReadingAction(item);
+            return true;
+        }
+        if (key === 'm' || key === 'M') {
+            // The Unread and Read filters hide the item once it changes state
+            const filtered = Boolean(item.closest('#reading')) && ['unread', 'read'].includes(this.app.getCurrentSettings().readingFilter);
+            this.rememberNeighbour(item, filtered);
+            this.app.ui.handleToggleReadAction(item);
+            return true;
+        }
+        if (key !== 'Delete' && key !== 'Backspace') return false;
+
+        this.rememberNeighbour(item, true);
+        this.app.ui.handleRemoveFromReadingAction(item);
+        return true;
+    }
+
+    // Alt+arrows reorder through the same paths a drag and drop takes
+    handleReorderKey(e, item) {
+        const steps = {
+            'ArrowLeft': -1,
+            'ArrowRight': 1,
+            'ArrowUp': -this.getColumnCount(item),
+            'ArrowDown': this.getColumnCount(item)
+        };
+        const step = steps[e.key];
+        if (!step) return false;
+
+        const items = this.getGridItems(item);
+        const neighbour = items[items.indexOf(item) + step];
+        if (!neighbour) return true;
+
+        const position = step < 0 ? 'before' : 'after';
+        const dragDrop = this.app.ui.dragDrop;
+        this.focusKey = this.getKey(item);
+
+        if (item.classList.contains('bookmark-card')) {
+            const bookmark = item.bookmarkData;
+            const target = neighbour.bookmarkData;
+            if (!bookmark || !target) return true;
+
+            if (this.app.currentView === 'favorites') {
+                dragDrop.reorderFavorites(bookmark, target, position);
+            } else if (bookmark.parentId === target.parentId) {
+                dragDrop.reorderChromeBookmark(bookmark, target.parentId, target.index + (position === 'after' ? 1 : 0));
+            }
+        } else if (item.folderData && neighbour.classList.contains('folder-card')) {
+            const target = this.app.bookmarks.getFolder(neighbour.dataset.folderId);
+            if (target?.parentId === item.folderData.parentId) {
+                dragDrop.reorderChromeBookmark(item.folderData, target.parentId, target.index + (position === 'after' ? 1 : 0));
+            }
+        }
+        return true;
+    }
+
+    openInBackground(item) {
+        if (!item.href) return false;
+
+        this.app.openInBackground(item.href);
+        return true;
+    }
+
+    move(item, step) {
+        if (Math.abs(step) === 1) {
+            const items = this.getItems();
+            this.focusItem(items[items.indexOf(item) + step]);
+            return;
+        }
+
+        const gridItems = this.getGridItems(item);
+        const index = gridItems.indexOf(item);
+        const column = index % Math.abs(step);
+        const lastRowStart = gridItems.length - (gridItems.length % Math.abs(step) || Math.abs(step));
+
+        if (gridItems[index + step]) {
+            this.focusItem(gridItems[index + step]);
+        } else if (step > 0 && index < lastRowStart) {
+            // The row below is shorter
+            this.focusItem(gridItems.at(-1));
+        } else {
+            this.focusItem(this.getAdjacentGridItem(item, step > 0 ? 1 : -1, column));
+        }
+    }
+
+    // Up / Down past the edge of a grid continue in the same column of the grid above or below
+    getAdjacentGridItem(item, direction, column) {
+        const grids = this.getGrids().filter(grid => grid.querySelector(this.itemSelector));
+        const grid = grids[grids.indexOf(item.closest(this.gridSelector)) + direction];
+        if (!grid) return null;
+
+        const items = [...grid.querySelectorAll(this.itemSelector)];
+        if (direction > 0) return items[Math.min(column, items.length - 1)];
+
+        const columns = this.getColumnCount(items[0]);
+        const lastRowStart = items.length - (items.length % columns || columns);
+        return items[Math.min(lastRowStart + column, items.length - 1)];
+    }
+
+    focusItem(item) {
+        if (!item) return;
+
+        this.setCurrent(item);
+        item.focus();
+        item.scrollIntoView?.({ block: 'nearest' });
+    }
+
+    // Only the current item of each grid is in the Tab order
+    setCurrent(item) {
+        const grid = item.closest(this.gridSelector);
+        grid?.querySelectorAll(this.itemSelector).forEach(element => {
+            element.tabIndex = element === item ? 0 : -1;
+        });
+        this.focusKey = this.getKey(item);
+    }
+
+    // After a re-render: restore the roving tabindex, and focus if it was lost with the old cards
+    sync() {
+        const lostFocus = document.activeElement === document.body || !document.activeElement;
+
+        this.getGrids().forEach(grid => {
+            const items = [...grid.querySelectorAll(this.itemSelector)];
+            const current = items.find(item => this.getKey(item) === this.focusKey) || items[0];
+            items.forEach(item => {
+                item.tabIndex = item === current ? 0 : -1;
+            });
+        });
+
+        if (lostFocus && this.focusKey) {
+            const item = this.getItems().find(element => this.getKey(element) === this.focusKey);
+            if (item) item.focus();
+        }
+    }
+
+    // Deleting the focused item moves focus to the one after it (or before, at the end)
+    rememberNeighbour(item, removing) {
+        if (!removing) {
+            this.focusKey = this.getKey(item);
+            return;
+        }
+
+        const items = this.getGridItems(item);
+        const index = items.indexOf(item);
+        const neighbour = items[index + 1] || items[index - 1];
+        this.focusKey = neighbour ? this.getKey(neighbour) : null;
+    }
+
+    getKey(item) {
+        return item.dataset.id || (item.dataset.folderId && `folder:${item.dataset.folderId}`) || item.className;
+    }
+
+    getGrids() {
+        const section = document.querySelector('.section.active');
+        return section ? [...section.querySelectorAll(this.gridSelector)] : [];
+    }
+
+    getItems() {
+        return this.getGrids().flatMap(grid => [...grid.querySelectorAll(this.itemSelector)]);
+    }
+
+    getGridItems(item) {
+        const grid = item.closest(this.gridSelector);
+        return grid ? [...grid.querySelectorAll(this.itemSelector)] : [item];
+    }
+
+    // Items sharing the first item's top edge make up one row
+    getColumnCount(item) {
+        const items = this.getGridItems(item);
+        const top = items[0]?.offsetTop;
+        return Math.max(1, items.filter(element => element.offsetTop === top).length);
+    }
+
+    isModalOpen() {
+        return Boolean(document.querySelector('.modal:not(.hidden)'));
+    }
+
+    renderShortcuts() {
+        const list = document.getElementById('shortcuts-list');
+        if (!list) return;
+
+        const factory = this.app.ui.elementFactory;
+        list.innerHTML = '';
+        this.shortcuts.forEach(({ group, keys }) => {
+            list.appendChild(factory.createTextElement('h3', 'shortcuts-group', group));
+
+            const table = document.createElement('dl');
+            table.className = 'shortcuts-table';
+            keys.forEach(([key, description]) => {
+                const term = document.createElement('dt');
+                key.split(' / ').forEach((combo, index) => {
+                    if (index > 0) term.appendChild(document.createTextNode(' / '));
+                    term.appendChild(factory.createTextElement('kbd', '', combo));
+                });
+                table.appendChild(term);
+                table.appendChild(factory.createTextElement('dd', '', description));
+            });
+            list.appendChild(table);
+        });
+    }
+
+    showShortcuts() {
+        this.app.ui.modals.show('shortcuts');
+        document.getElementById('shortcuts-close-btn')?.focus();
+    }
+}
@@ -0,0 +1,201 @@
+// Link health module - finds bookmarks that are broken or redirect elsewhere
+//
+// Results are stored per URL in chrome.storage.local under "linkHealth":
+// { status, code, finalUrl, error, checkedAt }. Status is one of
+// ok, redirect, broken, unreachable or unverified (the server answered but
+// refused to say, e.g. 403 or 429 for automated requests).
+export class LinkHealthManager {
+    constructor() {
+        this.results = {};
+        this.concurrency = 6;
+        this.timeout = 10000;
+        this.isScanning = false;
+        this.controllers = new Set();
+        this.cancelled = false;
+
+        // Cross-origin requests need host access, which is only asked for when a scan starts
+        this.origins = ['http://*/*', 'https://*/*'];
+        this.unverifiedCodes = [401, 403, 429];
+    }
+
+    async load() {
+        try {
+            const result = await chrome.storage.local.get(['linkHealth']);
+            this.results = result.linkHealth || {};
+        } catch (error) {
+            console.error('Error loading link health:', error);
+            this.results = {};
+        }
+    }
+
+    async save() {
+        try {
+            await chrome.storage.local.set({ linkHealth: this.results });
+        } catch (error) {
+            console.error('Error saving link health:', error);
+        }
+    }
+
+    // Must be called from a user gesture the first time
+    async requestPermission() {
+        if (!chrome.permissions) return true;
+
+        const permissions = { origins: this.origins };
+        if (await chrome.permissions.contains(permissions)) return true;
+        return chrome.permissions.request(permissions);
+    }
+
+    // Checks every http(s) URL with a small worker pool; onProgress(done, total)
+    async scan(urls, onProgress) {
+        if (this.isScanning) {
+            throw new Error('A link scan is already running');
+        }
+
+        const queue = [...new Set(urls)].filter(url => this.isCheckable(url));
+        const summary = { total: queue.length, ok: 0, redirect: 0, broken: 0, unreachable: 0, unverified: 0, cancelled: false };
+        let done = 0;
+
+        this.isScanning = true;
+        this.cancelled = false;
+        this.prune(urls);
+
+        const worker = async () => {
+            while (queue.length > 0 && !this.cancelled) {
+                const url = queue.shift();
+                const result = await this.check(url);
+                if (this.cancelled) return;
+
+                summary[result.status]++;
+                done++;
+                onProgress?.(done, summary.total);
+
+                // Keep partial results if the page is closed mid-scan
+                if (done % 50 === 0) await this.save();
+            }
+        };
+
+        try {
+            const workers = Array.from({ length: Math.min(this.concurrency, queue.length) }, worker);
+            await Promise.all(workers);
+            summary.cancelled = this.cancelled;
+            return summary;
+        } finally {
+            this.isScanning = false;
+            await this.save();
+        }
+    }
+
+    cancel() {
+        if (!this.isScanning) return;
+
+        this.cancelled = true;
+        this.controllers.forEach(controller => controller.abort());
+    }
+
+    async check(url) {
+        let result;
+
+        try {
+            // HEAD is cheap, but plenty of servers reject or mishandle it
+            let response = await this.request(url, 'HEAD');
+            if (response.status >= 400) {
+                response = await this.request(url, 'GET');
+            }
+            result = this.classify(url, response);
+        } catch (error) {
+            result = {
+                status: 'unreachable',
+                code: null,
+                finalUrl: null,
+                // fetch() only reports "failed" for DNS, refused and TLS errors alike
+                error: error.name === 'AbortError' ? 'Timed out' : 'Could not connect'
+            };
+        }
+
+        result.checkedAt = Date.now();
+        if (!this.cancelled) {
+            this.results[url] = result;
+        }
+        return result;
+    }
+
+    async request(url, method) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.timeout);
+        this.controllers.add(controller);
+
+        try {
+            const response = await fetch(url, {
+                method,
+                redirect: 'follow',
+                credentials: 'omit',
+                cache: 'no-store',
+                signal: controller.signal
+            });
+            // Only the status matters; don't download the page
+            response.body?.cancel().catch(() => {});
+            return response;
+        } finally {
+            clearTimeout(timer);
+            this.controllers.delete(controller);
+        }
+    }
+
+    classify(url, response) {
+        const finalUrl = response.redirected && response.url && response.url !== url ? response.url : null;
+        let status = 'ok';
+
+        if (this.unverifiedCodes.includes(response.status)) {
+            status = 'unverified';
+        } else if (!response.ok) {
+            status = 'broken';
+        } else if (finalUrl) {
+            status = 'redirect';
+        }
+
+        return { status, code: response.status, finalUrl, error: null };
+    }
+
+    isCheckable(url) {
+        return /^https?:\/\//i.test(url || '');
+    }
+
+    getResult(url) {
+        return this.results[url] || null;
+    }
+
+    // Forget results for URLs that are no longer bookmarked
+    prune(urls) {
+        const known = new Set(urls);
+        Object.keys(this.results).forEach(url => {
+            if (!known.has(url)) delete this.results[url];
+        });
+    }
+
+    // Records a URL as healthy without a request, e.g. after updating to a redirect target
+    markHealthy(url, code = 200) {
+        this.results[url] = { status: 'ok', code, finalUrl: null, error: null, checkedAt: Date.now() };
+        return this.save();
+    }
+
+    // filter: 'problems' (broken, unreachable and redirected), 'broken' or 'redirect'
+    getProblems(bookmarks, filter = 'problems') {
+        const statuses = {
+            problems: ['broken', 'unreachable', 'redirect'],
+            broken: ['broken', 'unreachable'],
+            redirect: ['redirect']
+        }[filter] || [];
+        const order = ['broken', 'unreachable', 'redirect'];
+
+        return bookmarks
+            .map(bookmark => ({ bookmark, result: this.getResult(bookmark.url) }))
+            .filter(({ result }) => result && statuses.includes(result.status))
+            .sort((a, b) => order.indexOf(a.result.status) - order.indexOf(b.result.status) ||
+                (a.bookmark.title || '').localeCompare(b.bookmark.title || ''));
+    }
+
+    getLastScanTime() {
+        const times = Object.values(this.results).map(result => result.checkedAt || 0);
+        return times.length ? Math.max(...times) : null;
+    }
+}
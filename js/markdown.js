@@ -0,0 +1,126 @@
+// Markdown module - renders the small subset of markdown used in notes
+//
+// Paragraphs, "- " and "1. " lists, "#" headings, **bold**, *italic*, `code`,
+// [links](https://...) and bare URLs. Output is built as DOM nodes, never as
+// HTML strings, so a note can't inject markup. Only http(s) links are kept.
+export class MarkdownRenderer {
+    constructor() {
+        this.inlinePattern = /`([^`]+)`|\*\*(.+?)\*\*|\*([^*\s][^*]*?)\*|_([^_\s][^_]*?)_|\[([^\]]+)\]\((\S+?)\)|(https?:\/\/[^\s<>()]+[^\s<>().,;:!?'"])/g;
+    }
+
+    render(text = '') {
+        const fragment = document.createDocumentFragment();
+        const lines = text.replace(/\r\n?/g, '\n').split('\n');
+        let paragraph = [];
+        let list = null;
+
+        const flushParagraph = () => {
+            if (paragraph.length === 0) return;
+            const element = document.createElement('p');
+            paragraph.forEach((line, index) => {
+                if (index > 0) element.appendChild(document.createElement('br'));
+                this.renderInline(line, element);
+            });
+            fragment.appendChild(element);
+            paragraph = [];
+        };
+
+        lines.forEach(line => {
+            const bullet = line.match(/^\s*[-*+]\s+(.*)$/);
+            const numbered = line.match(/^\s*\d+[.)]\s+(.*)$/);
+            const heading = line.match(/^\s*#{1,6}\s+(.*)$/);
+
+            if (bullet || numbered) {
+                flushParagraph();
+                const tag = bullet ? 'ul' : 'ol';
+                if (list?.tagName.toLowerCase() !== tag) {
+                    list = document.createElement(tag);
+                    fragment.appendChild(list);
+                }
+                const item = document.createElement('li');
+                this.renderInline((bullet || numbered)[1], item);
+                list.appendChild(item);
+                return;
+            }
+
+            list = null;
+            if (heading) {
+                flushParagraph();
+                const element = document.createElement('p');
+                const strong = document.createElement('strong');
+                this.renderInline(heading[1], strong);
+                element.appendChild(strong);
+                fragment.appendChild(element);
+            } else if (line.trim()) {
+                paragraph.push(line.trim());
+            } else {
+                flushParagraph();
+            }
+        });
+
+        flushParagraph();
+        return fragment;
+    }
+
+    renderInline(text, parent) {
+        let position = 0;
+        let match;
+
+        this.inlinePattern.lastIndex = 0;
+        while ((match = this.inlinePattern.exec(text)) !== null) {
+            if (match.index > position) {
+                parent.appendChild(document.createTextNode(text.slice(position, match.index)));
+            }
+            parent.appendChild(this.createInlineNode(match));
+            position = this.inlinePattern.lastIndex;
+        }
+
+        if (position < text.length) {
+            parent.appendChild(document.createTextNode(text.slice(position)));
+        }
+    }
+
+    createInlineNode([source, code, bold, starItalic, underscoreItalic, linkText, linkUrl, bareUrl]) {
+        if (code !== undefined) {
+            const element = document.createElement('code');
+            element.textContent = code;
+            return element;
+        }
+
+        if (bold !== undefined || starItalic !== undefined || underscoreItalic !== undefined) {
+            const element = document.createElement(bold !== undefined ? 'strong' : 'em');
+            // Nested markup is rendered with a fresh pattern so the outer loop keeps its place
+            new MarkdownRenderer().renderInline(bold ?? starItalic ?? underscoreItalic, element);
+            return element;
+        }
+
+        const url = linkUrl ?? bareUrl;
+        if (!this.isSafeUrl(url)) {
+            return document.createTextNode(source);
+        }
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.target = '_blank';
+        link.rel = 'noopener noreferrer';
+        link.textContent = linkText ?? url;
+        return link;
+    }
+
+    isSafeUrl(url) {
+        try {
+            return ['http:', 'https:'].includes(new URL(url).protocol);
+        } catch {
+            return false;
+        }
+    }
+
+    // The note as one line of plain text, e.g. for tooltips
+    toPlainText(text = '') {
+        return text
+            .replace(/\[([^\]]+)\]\(\S+?\)/g, '$1')
+            .replace(/[`*_#]/g, '')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+}
@@ -1,9 +1,26 @@
 // Modal management module
+import { TagInput } from './tag-input.js';
+
 export class ModalManager {
     constructor(app) {
         this.app = app;
         this.modals = {};
         this.boundHandlers = {};
+        
+        // The URL the duplicate warning was last shown for; saving it again goes ahead
+        this.duplicateWarningUrl = null;
+        
+        // Custom search engines being edited; saved with the other settings
+        this.searchEnginesDraft = [];
+        
+        // Custom themes being edited, and the one loaded in the editor (null for a new one)
+        this.customThemesDraft = [];
+        this.editingThemeId = null;
+        
+        this.tagInput = null;
+        
+        // The reading list item the snooze dialog is open for
+        this.snoozeUrl = null;
     }
 
     init() {
@@ -22,9 +39,15 @@ export class ModalManager {
                     name: document.getElementById('bookmark-name'),
                     url: document.getElementById('bookmark-url'),
                     folder: document.getElementById('bookmark-folder'),
-                    favorite: document.getElementById('bookmark-favorite')
+                    favorite: document.getElementById('bookmark-favorite'),
+                    tagsField: document.getElementById('bookmark-tags-field'),
+                    tags: document.getElementById('bookmark-tags'),
+                    tagSuggestions: document.getElementById('bookmark-tag-suggestions'),
+                    notes: document.getElementById('bookmark-notes'),
+                    duplicateWarning: document.getElementById('bookmark-duplicate-warning')
                 },
                 buttons: {
+                    save: document.getElementById('bookmark-save-btn'),
                     cancel: document.getElementById('bookmark-cancel-btn')
                 }
             },
@@ -42,13 +65,72 @@ export class ModalManager {
                 element: document.getElementById('settings-modal'),
                 fields: {
                     theme: document.querySelectorAll('input[name="theme"]'),
+                    themeOptions: document.getElementById('theme-options'),
+                    themeAuto: document.getElementById('theme-auto'),
+                    themeAutoOptions: document.getElementById('theme-auto-options'),
+                    themeLight: document.getElementById('theme-light'),
+                    themeDark: document.getElementById('theme-dark'),
+                    themeSchedule: document.getElementById('theme-schedule'),
+                    themeDarkFrom: document.getElementById('theme-dark-from'),
+                    themeDarkUntil: document.getElementById('theme-dark-until'),
+                    themeName: document.getElementById('theme-name'),
+                    themeColors: document.querySelectorAll('#theme-editor [data-color]'),
+                    themeRadius: document.getElementById('theme-radius'),
+                    themeRadiusValue: document.getElementById('theme-radius-value'),
+                    themePreview: document.getElementById('theme-editor-preview'),
+                    themeImportFile: document.getElementById('theme-import-file'),
+                    themeStatus: document.getElementById('theme-editor-status'),
                     fontFamily: document.getElementById('font-family'),
+                    headingFont: document.getElementById('heading-font'),
+                    clockFont: document.getElementById('clock-font'),
+                    userFontList: document.getElementById('user-font-list'),
+                    fontUpload: document.getElementById('font-upload'),
                     fontSize: document.getElementById('font-size'),
-                    fontSizeValue: document.getElementById('font-size-value')
+                    fontSizeValue: document.getElementById('font-size-value'),
+                    importFile: document.getElementById('import-file'),
+                    importParent: document.getElementById('import-parent'),
+                    importProgress: document.getElementById('import-progress'),
+                    importStatus: document.getElementById('import-status'),
+                    exportFolder: document.getElementById('export-folder'),
+                    syncEnabled: document.getElementById('sync-enabled'),
+                    remoteFavicons: document.getElementById('remote-favicons'),
+                    readingAutoRemove: document.getElementById('reading-auto-remove'),
+                    offlineUsage: document.getElementById('offline-usage'),
+                    searchEngine: document.getElementById('search-engine'),
+                    searchEngineList: document.getElementById('search-engine-list'),
+                    searchEngineName: document.getElementById('search-engine-name'),
+                    searchEngineKeyword: document.getElementById('search-engine-keyword'),
+                    searchEngineUrl: document.getElementById('search-engine-url')
                 },
                 buttons: {
                     save: document.getElementById('settings-save-btn'),
-                    cancel: document.getElementById('settings-cancel-btn')
+                    cancel: document.getElementById('settings-cancel-btn'),
+                    import: document.getElementById('import-btn'),
+                    export: document.getElementById('export-btn'),
+                    addSearchEngine: document.getElementById('search-engine-add-btn'),
+                    clearOffline: document.getElementById('offline-clear-btn'),
+                    saveTheme: document.getElementById('theme-save-btn'),
+                    deleteTheme: document.getElementById('theme-delete-btn'),
+                    exportTheme: document.getElementById('theme-export-btn'),
+                    uploadFont: document.getElementById('font-upload-btn')
+                }
+            },
+            snooze: {
+                element: document.getElementById('snooze-modal'),
+                form: document.getElementById('snooze-form'),
+                title: document.getElementById('snooze-item-title'),
+                fields: {
+                    presets: document.getElementById('snooze-presets'),
+                    until: document.getElementById('snooze-until')
+                },
+                buttons: {
+                    cancel: document.getElementById('snooze-cancel-btn')
+                }
+            },
+            shortcuts: {
+                element: document.getElementById('shortcuts-modal'),
+                buttons: {
+                    cancel: document.getElementById('shortcuts-close-btn')
                 }
             }
         };
@@ -59,14 +141,34 @@ export class ModalManager {
         this.setupBookmarkModal();
         this.setupFolderModal();
         this.setupSettingsModal();
+        this.setupSnoozeModal();
+        this.setupShortcutsModal();
     }
 
     bindHandlers() {
         // Bind methods to maintain context
         this.boundHandlers.handleBookmarkSubmit = this.handleBookmarkSubmit.bind(this);
+        this.boundHandlers.updateDuplicateWarning = this.updateDuplicateWarning.bind(this);
         this.boundHandlers.handleFolderSubmit = this.handleFolderSubmit.bind(this);
         this.boundHandlers.handleSettingsSubmit = this.handleSettingsSubmit.bind(this);
         this.boundHandlers.handleFontSizeChange = this.handleFontSizeChange.bind(this);
+        this.boundHandlers.handleFontUpload = this.handleFontUpload.bind(this);
+        this.boundHandlers.handleUserFontListClick = this.handleUserFontListClick.bind(this);
+        this.boundHandlers.handleImport = this.handleImport.bind(this);
+        this.boundHandlers.handleExport = this.handleExport.bind(this);
+        this.boundHandlers.handleSyncToggle = this.handleSyncToggle.bind(this);
+        this.boundHandlers.handleAddSearchEngine = this.handleAddSearchEngine.bind(this);
+        this.boundHandlers.handleSearchEngineListClick = this.handleSearchEngineListClick.bind(this);
+        this.boundHandlers.handleClearOffline = this.handleClearOffline.bind(this);
+        this.boundHandlers.handleThemeSelect = this.handleThemeSelect.bind(this);
+        this.boundHandlers.updateAutoThemeFields = this.updateAutoThemeFields.bind(this);
+        this.boundHandlers.updateThemePreview = this.updateThemePreview.bind(this);
+        this.boundHandlers.handleThemeSave = this.handleThemeSave.bind(this);
+        this.boundHandlers.handleThemeDelete = this.handleThemeDelete.bind(this);
+        this.boundHandlers.handleThemeExport = this.handleThemeExport.bind(this);
+        this.boundHandlers.handleThemeImport = this.handleThemeImport.bind(this);
+        this.boundHandlers.handleSnoozeSubmit = this.handleSnoozeSubmit.bind(this);
+        this.boundHandlers.handleSnoozePresetClick = this.handleSnoozePresetClick.bind(this);
     }
 
     setupBookmarkModal() {
@@ -74,7 +176,15 @@ export class ModalManager {
         if (!modal.form || !modal.buttons.cancel) return;
 
         modal.form.addEventListener('submit', this.boundHandlers.handleBookmarkSubmit);
+        modal.fields.url.addEventListener('input', this.boundHandlers.updateDuplicateWarning);
         modal.buttons.cancel.addEventListener('click', () => this.hide('bookmark'));
+        
+        this.tagInput = new TagInput({
+            field: modal.fields.tagsField,
+            input: modal.fields.tags,
+            suggestions: modal.fields.tagSuggestions
+        }, this.app.tags);
+        this.tagInput.init();
         modal.element.addEventListener('click', (e) => {
             if (e.target === modal.element) this.hide('bookmark');
         });
@@ -105,6 +215,57 @@ export class ModalManager {
         if (modal.fields.fontSize) {
             modal.fields.fontSize.addEventListener('input', this.boundHandlers.handleFontSizeChange);
         }
+
+        // Theme editor - picking a theme loads it into the editor
+        modal.fields.themeOptions?.addEventListener('change', this.boundHandlers.handleThemeSelect);
+        modal.fields.themeAuto?.addEventListener('change', this.boundHandlers.updateAutoThemeFields);
+        modal.fields.themeName?.addEventListener('input', this.boundHandlers.updateThemePreview);
+        modal.fields.themeColors.forEach(input => input.addEventListener('input', this.boundHandlers.updateThemePreview));
+        modal.fields.themeRadius?.addEventListener('input', this.boundHandlers.updateThemePreview);
+        modal.buttons.saveTheme?.addEventListener('click', this.boundHandlers.handleThemeSave);
+        modal.buttons.deleteTheme?.addEventListener('click', this.boundHandlers.handleThemeDelete);
+        modal.buttons.exportTheme?.addEventListener('click', this.boundHandlers.handleThemeExport);
+        modal.fields.themeImportFile?.addEventListener('change', this.boundHandlers.handleThemeImport);
+
+        // Uploaded fonts are stored and removed right away, like offline copies
+        modal.buttons.uploadFont?.addEventListener('click', this.boundHandlers.handleFontUpload);
+        modal.fields.userFontList?.addEventListener('click', this.boundHandlers.handleUserFontListClick);
+
+        // Import / export
+        modal.buttons.import?.addEventListener('click', this.boundHandlers.handleImport);
+        modal.buttons.export?.addEventListener('click', this.boundHandlers.handleExport);
+        
+        // Sync takes effect right away rather than on "Save Settings"
+        modal.fields.syncEnabled?.addEventListener('change', this.boundHandlers.handleSyncToggle);
+        
+        // Web search engines
+        modal.buttons.addSearchEngine?.addEventListener('click', this.boundHandlers.handleAddSearchEngine);
+        modal.fields.searchEngineList?.addEventListener('click', this.boundHandlers.handleSearchEngineListClick);
+        
+        // Offline copies are deleted right away, like sync is toggled
+        modal.buttons.clearOffline?.addEventListener('click', this.boundHandlers.handleClearOffline);
+    }
+
+    setupSnoozeModal() {
+        const modal = this.modals.snooze;
+        if (!modal.form || !modal.buttons.cancel) return;
+
+        modal.form.addEventListener('submit', this.boundHandlers.handleSnoozeSubmit);
+        modal.fields.presets?.addEventListener('click', this.boundHandlers.handleSnoozePresetClick);
+        modal.buttons.cancel.addEventListener('click', () => this.hide('snooze'));
+        modal.element.addEventListener('click', (e) => {
+            if (e.target === modal.element) this.hide('snooze');
+        });
+    }
+
+    setupShortcutsModal() {
+        const modal = this.modals.shortcuts;
+        if (!modal.element || !modal.buttons.cancel) return;
+
+        modal.buttons.cancel.addEventListener('click', () => this.hide('shortcuts'));
+        modal.element.addEventListener('click', (e) => {
+            if (e.target === modal.element) this.hide('shortcuts');
+        });
     }
 
     handleFontSizeChange(e) {
@@ -123,10 +284,20 @@ export class ModalManager {
             title: modal.fields.name.value.trim(),
             url: modal.fields.url.value.trim(),
             parentId: modal.fields.folder.value || null,
-            isFavorite: modal.fields.favorite.checked
+            isFavorite: modal.fields.favorite.checked,
+            tags: this.tagInput?.getTags() ?? [],
+            notes: modal.fields.notes?.value ?? ''
         };
         
         if (!this.validateBookmarkForm(formData)) return;
+        
+        // Warn once about an existing copy; submitting again saves anyway
+        const duplicates = this.app.findDuplicateBookmarks(formData.url, formData.id || null);
+        if (duplicates.length > 0 && this.duplicateWarningUrl !== formData.url) {
+            this.updateDuplicateWarning();
+            modal.fields.url.focus();
+            return;
+        }
 
         try {
             if (formData.id) {
@@ -159,15 +330,173 @@ export class ModalManager {
         }
     }
 
+    async handleClearOffline() {
+        await this.app.clearOfflineCopies();
+        this.updateOfflineUsage();
+    }
+
+    updateOfflineUsage() {
+        const modal = this.modals.settings;
+        const { count, size } = this.app.snapshots.getUsage();
+        
+        if (modal.fields.offlineUsage) {
+            modal.fields.offlineUsage.textContent = count > 0 ?
+                `${count} ${count === 1 ? 'article' : 'articles'} saved, using ${this.formatSize(size)}.` :
+                'Use 💾 on a reading list item to save it for reading without a connection.';
+        }
+        if (modal.buttons.clearOffline) {
+            modal.buttons.clearOffline.disabled = count === 0;
+        }
+    }
+
+    // Selects the fonts in settings, or keeps what is selected; a font that is gone falls back
+    renderFontOptions(settings = null) {
+        const fields = this.modals.settings.fields;
+        const fonts = this.app.settings.getFonts();
+        const choosers = [
+            [fields.fontFamily, 'fontFamily', 'system'],
+            [fields.headingFont, 'headingFont', 'default'],
+            [fields.clockFont, 'clockFont', 'default']
+        ];
+        
+        choosers.forEach(([select, key, fallback]) => {
+            if (!select) return;
+            
+            const selectedId = settings ? settings[key] : select.value;
+            select.innerHTML = '';
+            const choices = fallback === 'default' ? [{ id: 'default', name: 'Same as text' }, ...fonts] : fonts;
+            choices.forEach(font => {
+                const option = document.createElement('option');
+                option.value = font.id;
+                option.textContent = font.name;
+                select.appendChild(option);
+            });
+            select.value = choices.some(font => font.id === selectedId) ? selectedId : fallback;
+        });
+        
+        if (fields.userFontList) {
+            fields.userFontList.innerHTML = '';
+            this.app.settings.fonts.list().forEach(font => {
+                const item = document.createElement('li');
+                item.className = 'user-font-item';
+                
+                // Each font's name is shown in the font itself
+                const name = document.createElement('span');
+                name.className = 'user-font-name';
+                name.textContent = font.name;
+                name.style.fontFamily = this.app.settings.getFontFamily(`user:${font.id}`);
+                const size = document.createElement('span');
+                size.className = 'user-font-size';
+                size.textContent = this.formatSize(font.size);
+                const remove = document.createElement('button');
+                remove.type = 'button';
+                remove.className = 'remove-font-btn';
+                remove.dataset.id = font.id;
+                remove.title = `Remove ${font.name}`;
+                remove.textContent = '✕';
+                
+                item.appendChild(name);
+                item.appendChild(size);
+                item.appendChild(remove);
+                fields.userFontList.appendChild(item);
+            });
+        }
+    }
+
+    async handleFontUpload() {
+        const fields = this.modals.settings.fields;
+        const file = fields.fontUpload?.files?.[0];
+        if (!file) {
+            this.showError('Please choose a .woff2 or .ttf font file');
+            return;
+        }
+        
+        try {
+            const font = await this.app.settings.fonts.add(file);
+            fields.fontUpload.value = '';
+            this.renderFontOptions();
+            this.app.showSuccessMessage(`Added "${font.name}" to your fonts`);
+        } catch (error) {
+            this.showError('Error adding font: ' + error.message);
+        }
+    }
+
+    async handleUserFontListClick(e) {
+        const button = e.target.closest('.remove-font-btn');
+        if (!button) return;
+        
+        try {
+            await this.app.settings.removeFont(button.dataset.id);
+            this.renderFontOptions();
+        } catch (error) {
+            this.showError('Error removing font: ' + error.message);
+        }
+    }
+
+    formatSize(bytes) {
+        if (bytes < 1024) return `${bytes} B`;
+        if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+        return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    }
+
+    async handleSnoozeSubmit(e) {
+        e.preventDefault();
+        
+        const value = this.modals.snooze.fields.until.value;
+        const until = value ? new Date(value).getTime() : NaN;
+        
+        if (Number.isNaN(until)) {
+            this.showError('Please pick a date and time');
+            return;
+        }
+        if (until <= Date.now()) {
+            this.showError('Please pick a time in the future');
+            return;
+        }
+        
+        await this.snoozeUntil(until);
+    }
+
+    async handleSnoozePresetClick(e) {
+        const button = e.target.closest('.snooze-option');
+        if (button) await this.snoozeUntil(Number(button.dataset.time));
+    }
+
+    async snoozeUntil(until) {
+        const url = this.snoozeUrl;
+        this.hide('snooze');
+        await this.app.snoozeReadingItem(url, until);
+    }
+
     async handleSettingsSubmit() {
         const modal = this.modals.settings;
         
         try {
             const themeInput = document.querySelector('input[name="theme"]:checked');
+            const autoTheme = modal.fields.themeAuto?.value || 'off';
+            const darkFrom = modal.fields.themeDarkFrom?.value || '19:00';
+            const darkUntil = modal.fields.themeDarkUntil?.value || '07:00';
+            if (autoTheme === 'schedule' && darkFrom === darkUntil) {
+                this.showError('The dark theme needs different start and end times');
+                return;
+            }
+            
             const settings = {
                 theme: themeInput?.value || 'dark-modern',
+                autoTheme,
+                lightTheme: modal.fields.themeLight?.value || 'minimal-light',
+                darkTheme: modal.fields.themeDark?.value || 'dark-modern',
+                darkFrom,
+                darkUntil,
                 fontFamily: modal.fields.fontFamily?.value || 'system',
-                fontSize: parseInt(modal.fields.fontSize?.value || '16')
+                headingFont: modal.fields.headingFont?.value || 'default',
+                clockFont: modal.fields.clockFont?.value || 'default',
+                fontSize: parseInt(modal.fields.fontSize?.value || '16'),
+                searchEngine: modal.fields.searchEngine?.value || 'google',
+                searchEngines: this.searchEnginesDraft,
+                customThemes: this.customThemesDraft,
+                remoteFavicons: modal.fields.remoteFavicons?.checked ?? true,
+                readingAutoRemoveDays: parseInt(modal.fields.readingAutoRemove?.value || '0')
             };
             
             await this.app.updateSettings(settings);
@@ -177,6 +506,353 @@ export class ModalManager {
         }
     }
 
+    // Default engine choices plus the list of keywords; only custom engines can be removed
+    renderSearchEngines(selectedId = this.modals.settings.fields.searchEngine?.value) {
+        const fields = this.modals.settings.fields;
+        const webSearch = this.app.ui.webSearch;
+        const engines = [...this.searchEnginesDraft, ...webSearch.builtInEngines];
+        
+        if (fields.searchEngine) {
+            fields.searchEngine.innerHTML = '';
+            engines.forEach(engine => {
+                const option = document.createElement('option');
+                option.value = engine.id;
+                option.textContent = engine.name;
+                fields.searchEngine.appendChild(option);
+            });
+            fields.searchEngine.value = engines.some(engine => engine.id === selectedId) ? selectedId : 'google';
+        }
+        
+        if (fields.searchEngineList) {
+            fields.searchEngineList.innerHTML = '';
+            engines.forEach(engine => {
+                const item = document.createElement('li');
+                item.className = 'search-engine-item';
+                
+                const keyword = document.createElement('code');
+                keyword.textContent = `!${engine.keyword}`;
+                const name = document.createElement('span');
+                name.className = 'search-engine-name';
+                name.textContent = engine.name;
+                name.title = engine.url;
+                
+                item.appendChild(keyword);
+                item.appendChild(name);
+                
+                if (this.searchEnginesDraft.includes(engine)) {
+                    const remove = document.createElement('button');
+                    remove.type = 'button';
+                    remove.className = 'remove-engine-btn';
+                    remove.dataset.id = engine.id;
+                    remove.title = `Remove ${engine.name}`;
+                    remove.textContent = '✕';
+                    item.appendChild(remove);
+                }
+                
+                fields.searchEngineList.appendChild(item);
+            });
+        }
+    }
+
+    handleAddSearchEngine() {
+        const fields = this.modals.settings.fields;
+        const webSearch = this.app.ui.webSearch;
+        const engine = webSearch.createEngine({
+            name: fields.searchEngineName.value,
+            keyword: fields.searchEngineKeyword.value,
+            url: fields.searchEngineUrl.value
+        });
+        
+        const error = webSearch.validateEngine(engine, this.searchEnginesDraft);
+        if (error) {
+            this.showError(error);
+            return;
+        }
+        
+        this.searchEnginesDraft.push(engine);
+        this.renderSearchEngines();
+        fields.searchEngineName.value = '';
+        fields.searchEngineKeyword.value = '';
+        fields.searchEngineUrl.value = '';
+    }
+
+    handleSearchEngineListClick(e) {
+        const button = e.target.closest('.remove-engine-btn');
+        if (!button) return;
+        
+        this.searchEnginesDraft = this.searchEnginesDraft.filter(engine => engine.id !== button.dataset.id);
+        this.renderSearchEngines();
+    }
+
+    // Custom themes go after the built-in radios
+    renderThemeOptions(selectedId) {
+        const container = this.modals.settings.fields.themeOptions;
+        if (!container) return;
+        
+        const palette = this.app.settings.palette;
+        container.querySelectorAll('.custom-theme').forEach(option => option.remove());
+        this.customThemesDraft.forEach(theme => {
+            const option = document.createElement('label');
+            option.className = 'theme-option custom-theme';
+            
+            const radio = document.createElement('input');
+            radio.type = 'radio';
+            radio.name = 'theme';
+            radio.value = theme.id;
+            const preview = document.createElement('span');
+            preview.className = 'theme-preview';
+            preview.style.background = palette.getPreview(theme);
+            
+            option.appendChild(radio);
+            option.appendChild(preview);
+            option.appendChild(document.createTextNode(theme.name));
+            container.appendChild(option);
+        });
+        
+        const radios = [...container.querySelectorAll('input[name="theme"]')];
+        const selected = radios.find(radio => radio.value === selectedId) || radios[0];
+        if (selected) selected.checked = true;
+        
+        this.renderAutoThemeOptions();
+    }
+
+    // The light and dark choices list the same themes as the radios
+    renderAutoThemeOptions() {
+        const fields = this.modals.settings.fields;
+        const themes = [...this.app.settings.themes, ...this.customThemesDraft];
+        
+        [[fields.themeLight, 'minimal-light'], [fields.themeDark, 'dark-modern']].forEach(([select, fallback]) => {
+            if (!select) return;
+            
+            const selectedId = select.value;
+            select.innerHTML = '';
+            themes.forEach(theme => {
+                const option = document.createElement('option');
+                option.value = theme.id;
+                option.textContent = theme.name;
+                select.appendChild(option);
+            });
+            select.value = themes.some(theme => theme.id === selectedId) ? selectedId : fallback;
+        });
+    }
+
+    updateAutoThemeFields() {
+        const fields = this.modals.settings.fields;
+        const mode = fields.themeAuto?.value || 'off';
+        fields.themeAutoOptions?.classList.toggle('hidden', mode === 'off');
+        fields.themeSchedule?.classList.toggle('hidden', mode !== 'schedule');
+    }
+
+    handleThemeSelect(e) {
+        if (e.target.name === 'theme') {
+            this.loadThemeEditor(e.target.value);
+        }
+    }
+
+    // A custom theme is edited in place; a built-in one is the start of a new theme
+    loadThemeEditor(themeId) {
+        const fields = this.modals.settings.fields;
+        const palette = this.app.settings.palette;
+        const theme = this.customThemesDraft.find(custom => custom.id === themeId);
+        const colors = theme ? theme.colors : palette.getStartingColors(themeId);
+        
+        this.editingThemeId = theme?.id || null;
+        if (fields.themeName) fields.themeName.value = theme?.name || '';
+        fields.themeColors.forEach(input => {
+            input.value = colors[input.dataset.color];
+        });
+        if (fields.themeRadius) fields.themeRadius.value = theme?.radius ?? palette.defaultRadius;
+        if (this.modals.settings.buttons.deleteTheme) {
+            this.modals.settings.buttons.deleteTheme.disabled = !theme;
+        }
+        this.setThemeStatus('');
+        this.updateThemePreview();
+    }
+
+    readThemeEditor() {
+        const fields = this.modals.settings.fields;
+        const colors = {};
+        fields.themeColors.forEach(input => {
+            colors[input.dataset.color] = input.value.toLowerCase();
+        });
+        
+        return {
+            name: fields.themeName?.value.trim() || '',
+            colors,
+            radius: parseInt(fields.themeRadius?.value || this.app.settings.palette.defaultRadius)
+        };
+    }
+
+    // The preview box gets the variables itself, so the rest of the page keeps the current theme
+    updateThemePreview() {
+        const fields = this.modals.settings.fields;
+        const theme = this.readThemeEditor();
+        const variables = this.app.settings.palette.toVariables(theme);
+        
+        if (fields.themePreview) {
+            Object.entries(variables).forEach(([name, value]) => fields.themePreview.style.setProperty(name, value));
+        }
+        if (fields.themeRadiusValue) {
+            fields.themeRadiusValue.textContent = theme.radius + 'px';
+        }
+    }
+
+    setThemeStatus(message) {
+        const status = this.modals.settings.fields.themeStatus;
+        if (status) status.textContent = message;
+    }
+
+    handleThemeSave() {
+        const theme = this.readThemeEditor();
+        if (!theme.name) {
+            this.showError('Please give the theme a name');
+            return;
+        }
+        
+        let saved = this.customThemesDraft.find(custom => custom.id === this.editingThemeId);
+        if (saved) {
+            Object.assign(saved, theme);
+        } else {
+            saved = { id: `custom-${Date.now()}`, ...theme };
+            this.customThemesDraft.push(saved);
+        }
+        
+        this.renderThemeOptions(saved.id);
+        this.loadThemeEditor(saved.id);
+        this.setThemeStatus(`"${theme.name}" saved. Save Settings to use it.`);
+    }
+
+    handleThemeDelete() {
+        const theme = this.customThemesDraft.find(custom => custom.id === this.editingThemeId);
+        if (!theme) return;
+        
+        this.customThemesDraft = this.customThemesDraft.filter(custom => custom !== theme);
+        const checked = document.querySelector('input[name="theme"]:checked')?.value;
+        const selectedId = checked === theme.id ? 'dark-modern' : checked;
+        this.renderThemeOptions(selectedId);
+        this.loadThemeEditor(selectedId);
+        this.setThemeStatus(`"${theme.name}" deleted.`);
+    }
+
+    handleThemeExport() {
+        const theme = this.readThemeEditor();
+        if (!theme.name) {
+            this.showError('Please give the theme a name');
+            return;
+        }
+        
+        const filename = theme.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'theme';
+        this.app.ui.downloadFile(`${filename}.json`, this.app.settings.palette.toFile(theme), 'application/json');
+    }
+
+    async handleThemeImport(e) {
+        const input = e.target;
+        const file = input.files?.[0];
+        if (!file) return;
+        
+        try {
+            const theme = { id: `custom-${Date.now()}`, ...this.app.settings.palette.parseFile(await file.text()) };
+            this.customThemesDraft.push(theme);
+            this.renderThemeOptions(theme.id);
+            this.loadThemeEditor(theme.id);
+            this.setThemeStatus(`"${theme.name}" imported. Save Settings to use it.`);
+        } catch (error) {
+            this.showError('Error importing theme: ' + error.message);
+        } finally {
+            input.value = '';
+        }
+    }
+
+    async handleImport() {
+        const fields = this.modals.settings.fields;
+        const file = fields.importFile?.files?.[0];
+        
+        if (!file) {
+            this.showError('Please choose a bookmarks HTML file to import');
+            return;
+        }
+
+        const button = this.modals.settings.buttons.import;
+        button.disabled = true;
+        fields.importProgress.classList.remove('hidden');
+        fields.importProgress.value = 0;
+        fields.importStatus.textContent = 'Importing...';
+
+        try {
+            const summary = await this.app.importBookmarks(file, fields.importParent.value, progress => {
+                const processed = progress.created + progress.duplicates + progress.failed;
+                fields.importProgress.value = progress.total ? processed / progress.total : 1;
+                fields.importStatus.textContent = `Importing... ${processed} of ${progress.total}`;
+            });
+            
+            fields.importProgress.value = 1;
+            fields.importStatus.textContent = this.formatImportSummary(summary);
+            fields.importFile.value = '';
+        } catch (error) {
+            fields.importStatus.textContent = 'Import failed: ' + error.message;
+        } finally {
+            button.disabled = false;
+            fields.importProgress.classList.add('hidden');
+        }
+    }
+
+    formatImportSummary(summary) {
+        const parts = [
+            `Imported ${summary.created} of ${summary.total} bookmarks`,
+            `${summary.duplicates} duplicates skipped`
+        ];
+        if (summary.folders) parts.push(`${summary.folders} folders created`);
+        if (summary.failed) parts.push(`${summary.failed} failed`);
+        return parts.join(', ') + '.';
+    }
+
+    async handleExport() {
+        try {
+            await this.app.exportBookmarks(this.modals.settings.fields.exportFolder?.value || null);
+        } catch (error) {
+            this.showError('Error exporting bookmarks: ' + error.message);
+        }
+    }
+
+    updateDuplicateWarning() {
+        const modal = this.modals.bookmark;
+        const warning = modal.fields.duplicateWarning;
+        if (!warning) return;
+        
+        const url = modal.fields.url.value.trim();
+        const duplicates = url ? this.app.findDuplicateBookmarks(url, modal.fields.id.value || null) : [];
+        
+        if (duplicates.length === 0) {
+            warning.classList.add('hidden');
+            warning.textContent = '';
+            this.duplicateWarningUrl = null;
+            if (modal.buttons.save) modal.buttons.save.textContent = 'Save Bookmark';
+            return;
+        }
+        
+        const folders = [...new Set(duplicates.map(bookmark => this.app.getFolderPathLabel(bookmark.parentId) || 'Bookmarks'))];
+        const shown = folders.slice(0, 3).map(label => `"${label}"`).join(', ');
+        const more = folders.length > 3 ? ` and ${folders.length - 3} more` : '';
+        
+        warning.textContent = `Already bookmarked in ${shown}${more}.`;
+        warning.classList.remove('hidden');
+        this.duplicateWarningUrl = url;
+        if (modal.buttons.save) modal.buttons.save.textContent = 'Save Anyway';
+    }
+
+    async handleSyncToggle(e) {
+        const checkbox = e.target;
+        checkbox.disabled = true;
+        
+        try {
+            await this.app.setSyncEnabled(checkbox.checked);
+        } catch (error) {
+            checkbox.checked = !checkbox.checked;
+        } finally {
+            checkbox.disabled = !this.app.syncStorage.isAvailable();
+        }
+    }
+
     validateBookmarkForm(formData) {
         if (!formData.title || !formData.url) {
             this.showError('Please fill in both name and URL');
@@ -195,22 +871,31 @@ export class ModalManager {
     }
 
     showError(message) {
-        // Simple alert for now - could be replaced with a toast notification
-        alert(message);
+        this.app.showErrorMessage(message);
     }
 
     // Modal display methods
     showBookmarkModal(isEdit = false, bookmark = {}) {
         const modal = this.modals.bookmark;
         
+        // Populate first so the folder value below has an option to select
+        this.populateFolderSelect();
+        
+        // New bookmarks default to the folder currently being browsed
+        const openFolderId = this.app.currentView === 'folder-view' ? this.app.currentFolder?.id : '';
+        
         modal.title.textContent = isEdit ? 'Edit Bookmark' : 'Add Bookmark';
         modal.fields.id.value = bookmark.id || '';
         modal.fields.name.value = bookmark.title || '';
         modal.fields.url.value = bookmark.url || '';
-        modal.fields.folder.value = bookmark.parentId || '';
+        modal.fields.folder.value = bookmark.parentId || openFolderId || '';
         modal.fields.favorite.checked = this.app.bookmarks?.isFavorite(bookmark.id) || false;
+        this.tagInput?.setTags(bookmark.id ? this.app.tags.getTags(bookmark.id) : []);
+        if (modal.fields.notes) {
+            modal.fields.notes.value = bookmark.id ? this.app.notes.get(bookmark.id) : '';
+        }
+        this.updateDuplicateWarning();
         
-        this.populateFolderSelect();
         this.show('bookmark');
         modal.fields.name.focus();
     }
@@ -220,23 +905,67 @@ export class ModalManager {
         this.modals.folder.fields.name.focus();
     }
 
+    showSnoozeModal(item) {
+        const modal = this.modals.snooze;
+        if (!modal.element) return;
+        
+        this.snoozeUrl = item.url;
+        if (modal.title) modal.title.textContent = item.title || item.url;
+        
+        if (modal.fields.presets) {
+            modal.fields.presets.innerHTML = '';
+            this.app.snoozes.getPresets().forEach(preset => {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = 'snooze-option';
+                button.dataset.time = String(preset.time.getTime());
+                
+                const label = document.createElement('span');
+                label.className = 'snooze-option-label';
+                label.textContent = preset.label;
+                const time = document.createElement('span');
+                time.className = 'snooze-option-time';
+                time.textContent = this.app.snoozes.formatTime(preset.time);
+                
+                button.appendChild(label);
+                button.appendChild(time);
+                modal.fields.presets.appendChild(button);
+            });
+        }
+        
+        // datetime-local wants local time without a zone
+        const tomorrow = new Date(Date.now() + 24 * 60 * 60 * 1000);
+        tomorrow.setMinutes(0, 0, 0);
+        const toLocalValue = date => new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+        modal.fields.until.min = toLocalValue(new Date());
+        
+        this.show('snooze');
+        modal.fields.until.value = toLocalValue(tomorrow);
+        modal.fields.presets?.querySelector('.snooze-option')?.focus();
+    }
+
     showSettingsModal() {
         const modal = this.modals.settings;
         const settings = this.app.getCurrentSettings();
         
-        // Set theme radio button
-        const themeRadio = document.querySelector(`input[name="theme"][value="${settings.theme}"]`);
-        if (themeRadio) {
-            themeRadio.checked = true;
-        } else {
-            const firstTheme = document.querySelector('input[name="theme"]');
-            if (firstTheme) firstTheme.checked = true;
+        // Set theme radio button, with the custom themes added
+        this.customThemesDraft = (settings.customThemes || []).map(theme => ({ ...theme, colors: { ...theme.colors } }));
+        this.renderThemeOptions(settings.theme);
+        this.loadThemeEditor(document.querySelector('input[name="theme"]:checked')?.value);
+        
+        if (modal.fields.themeAuto) {
+            modal.fields.themeAuto.value = settings.autoTheme || 'off';
+            modal.fields.themeLight.value = settings.lightTheme;
+            modal.fields.themeDark.value = settings.darkTheme;
+            modal.fields.themeDarkFrom.value = settings.darkFrom;
+            modal.fields.themeDarkUntil.value = settings.darkUntil;
+            // A deleted custom theme leaves nothing selected
+            this.renderAutoThemeOptions();
+            this.updateAutoThemeFields();
         }
         
         // Set other fields
-        if (modal.fields.fontFamily) {
-            modal.fields.fontFamily.value = settings.fontFamily;
-        }
+        this.renderFontOptions(settings);
         if (modal.fields.fontSize) {
             modal.fields.fontSize.value = settings.fontSize;
         }
@@ -244,20 +973,62 @@ export class ModalManager {
             modal.fields.fontSizeValue.textContent = settings.fontSize + 'px';
         }
         
+        // Import / export folder choices
+        if (modal.fields.importParent) {
+            this.populateFolderOptions(modal.fields.importParent);
+        }
+        if (modal.fields.exportFolder) {
+            this.populateFolderOptions(modal.fields.exportFolder, 'All bookmarks');
+        }
+        if (modal.fields.importStatus) {
+            modal.fields.importStatus.textContent = '';
+        }
+        if (modal.fields.syncEnabled) {
+            modal.fields.syncEnabled.checked = this.app.isSyncEnabled();
+            modal.fields.syncEnabled.disabled = !this.app.syncStorage.isAvailable();
+        }
+        
+        if (modal.fields.remoteFavicons) {
+            modal.fields.remoteFavicons.checked = settings.remoteFavicons !== false;
+        }
+        
+        if (modal.fields.readingAutoRemove) {
+            modal.fields.readingAutoRemove.value = String(settings.readingAutoRemoveDays || 0);
+        }
+        this.updateOfflineUsage();
+        
+        this.searchEnginesDraft = [...(settings.searchEngines || [])];
+        this.renderSearchEngines(settings.searchEngine);
+        
         this.show('settings');
     }
 
     populateFolderSelect() {
-        const modal = this.modals.bookmark;
-        const select = modal.fields.folder;
+        this.populateFolderOptions(this.modals.bookmark.fields.folder, 'Choose a folder...');
+    }
+
+    populateFolderOptions(select, placeholder = null) {
+        select.innerHTML = '';
+        
+        if (placeholder) {
+            const option = document.createElement('option');
+            option.value = '';
+            option.textContent = placeholder;
+            select.appendChild(option);
+        }
         
-        select.innerHTML = '<option value="">Choose a folder...</option>';
+        // Label nested folders with their full path so same-named folders stay distinguishable
+        const folders = this.app.getFolders()
+            .map(folder => ({
+                id: folder.id,
+                label: this.app.getFolderPath(folder.id).map(f => f.title).join(' › ')
+            }))
+            .sort((a, b) => a.label.localeCompare(b.label));
         
-        const folders = this.app.getFolders();
         folders.forEach(folder => {
             const option = document.createElement('option');
             option.value = folder.id;
-            option.textContent = folder.title;
+            option.textContent = folder.label;
             select.appendChild(option);
         });
     }
@@ -288,7 +1059,9 @@ export class ModalManager {
         const modal = this.modals.bookmark;
         if (modal?.form) {
             modal.form.removeEventListener('submit', this.boundHandlers.handleBookmarkSubmit);
+            modal.fields.url.removeEventListener('input', this.boundHandlers.updateDuplicateWarning);
         }
+        this.tagInput?.destroy();
         
         this.hideAll();
     }
@@ -0,0 +1,115 @@
+// Netscape bookmark file format (the HTML every browser imports and exports)
+//
+// Nodes are plain objects: folders are { title, addDate, children: [...] }
+// and bookmarks are { title, url, addDate, description }. Dates are milliseconds;
+// the description is the <DD> text that follows a bookmark's <DT>.
+export class NetscapeBookmarkFormat {
+    parse(html) {
+        const doc = new DOMParser().parseFromString(html, 'text/html');
+        const rootList = doc.querySelector('dl');
+        if (!rootList) {
+            throw new Error('No bookmarks found in this file');
+        }
+        return this.parseList(rootList);
+    }
+
+    parseList(list) {
+        const nodes = [];
+
+        this.getListEntries(list).forEach(entry => {
+            const heading = entry.querySelector(':scope > h3');
+            const link = entry.querySelector(':scope > a');
+
+            if (heading) {
+                const sublist = entry.querySelector(':scope > dl') || this.getNextList(entry);
+                nodes.push({
+                    title: heading.textContent.trim(),
+                    addDate: this.parseDate(heading.getAttribute('add_date')),
+                    children: sublist ? this.parseList(sublist) : []
+                });
+            } else if (link?.getAttribute('href')) {
+                nodes.push({
+                    title: link.textContent.trim(),
+                    url: link.getAttribute('href').trim(),
+                    addDate: this.parseDate(link.getAttribute('add_date')),
+                    description: this.getDescription(entry)
+                });
+            }
+        });
+
+        return nodes;
+    }
+
+    // <DT> entries that belong to this list rather than to a nested one
+    getListEntries(list) {
+        return [...list.querySelectorAll('dt')].filter(entry => entry.parentElement.closest('dl') === list);
+    }
+
+    // Some exporters put a folder's <DL> after its <DT> instead of inside it
+    getNextList(entry) {
+        let sibling = entry.nextElementSibling;
+        while (sibling && sibling.tagName === 'P') {
+            sibling = sibling.nextElementSibling;
+        }
+        return sibling?.tagName === 'DL' ? sibling : null;
+    }
+
+    // <DD> isn't closed in these files, so the parser may nest it in the <DT> or make it the next sibling
+    getDescription(entry) {
+        const description = entry.querySelector(':scope > dd') ||
+            (entry.nextElementSibling?.tagName === 'DD' ? entry.nextElementSibling : null);
+        return description?.textContent.trim() || undefined;
+    }
+
+    parseDate(value) {
+        const seconds = parseInt(value, 10);
+        return Number.isFinite(seconds) ? seconds * 1000 : undefined;
+    }
+
+    serialize(nodes, title = 'Bookmarks') {
+        const lines = [
+            '<!DOCTYPE NETSCAPE-Bookmark-file-1>',
+            '<!-- This is an automatically generated file.',
+            '     It will be read and overwritten.',
+            '     DO NOT EDIT! -->',
+            '<META HTTP-EQUIV="Content-Type" CONTENT="text/html; charset=UTF-8">',
+            `<TITLE>${this.escape(title)}</TITLE>`,
+            `<H1>${this.escape(title)}</H1>`,
+            '<DL><p>'
+        ];
+
+        this.serializeNodes(nodes, 1, lines);
+        lines.push('</DL><p>');
+
+        return lines.join('\n') + '\n';
+    }
+
+    serializeNodes(nodes, depth, lines) {
+        const indent = '    '.repeat(depth);
+
+        nodes.forEach(node => {
+            const dateAttribute = node.addDate ? ` ADD_DATE="${Math.floor(node.addDate / 1000)}"` : '';
+
+            if (node.children) {
+                const toolbarAttribute = node.isToolbar ? ' PERSONAL_TOOLBAR_FOLDER="true"' : '';
+                lines.push(`${indent}<DT><H3${dateAttribute}${toolbarAttribute}>${this.escape(node.title)}</H3>`);
+                lines.push(`${indent}<DL><p>`);
+                this.serializeNodes(node.children, depth + 1, lines);
+                lines.push(`${indent}</DL><p>`);
+            } else {
+                lines.push(`${indent}<DT><A HREF="${this.escape(node.url)}"${dateAttribute}>${this.escape(node.title)}</A>`);
+                if (node.description) {
+                    lines.push(`${indent}<DD>${this.escape(node.description)}`);
+                }
+            }
+        });
+    }
+
+    escape(text = '') {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+}
@@ -0,0 +1,42 @@
+// Notes module - a markdown note per bookmark: why it was saved, what to look at
+//
+// Stored in chrome.storage.local under "bookmarkNotes" as { [bookmarkId]: 'markdown' },
+// apart from chrome.bookmarks. Chrome keeps a bookmark's id when it is edited or
+// moved, so notes follow it anywhere in the tree.
+import { RecordStore } from './record-store.js';
+
+export class NoteManager {
+    constructor() {
+        this.notes = {};
+        this.store = new RecordStore('bookmarkNotes', 'notes');
+    }
+
+    async load() {
+        this.notes = await this.store.load();
+    }
+
+    save() {
+        return this.store.save(this.notes);
+    }
+
+    get(bookmarkId) {
+        return this.notes[bookmarkId] || '';
+    }
+
+    set(bookmarkId, text = '') {
+        const note = text.trim();
+        if (note === this.get(bookmarkId)) return;
+
+        if (note) {
+            this.notes[bookmarkId] = note;
+        } else {
+            delete this.notes[bookmarkId];
+        }
+        this.save();
+    }
+
+    // Drops the notes of bookmarks that no longer exist, wherever they were deleted
+    prune(bookmarkIds) {
+        return this.store.prune(this.notes, bookmarkIds);
+    }
+}
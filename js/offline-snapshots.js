@@ -0,0 +1,260 @@
+// Offline snapshots module - reading list articles saved for reading without a connection
+//
+// A snapshot is the page's readable content (see ArticleExtractor) with its
+// images inlined as data URLs, kept in IndexedDB by URL as
+// { url, title, siteName, byline, html, savedAt }. A small index of
+// { title, siteName, savedAt, size } is kept in a second store, so listing
+// snapshots and adding up their size never loads the articles themselves.
+import { IdbStore } from './idb-store.js';
+import { ArticleExtractor } from './article-extractor.js';
+
+export class SnapshotManager {
+    constructor() {
+        this.store = new IdbStore('snapshots');
+        this.indexStore = new IdbStore('snapshot-index');
+        this.extractor = new ArticleExtractor();
+        this.index = new Map();
+        this.pending = new Map();
+
+        this.timeout = 15000;
+        this.maxImages = 40;
+        this.maxImageSize = 2 * 1024 * 1024;
+    }
+
+    async load() {
+        try {
+            const entries = await this.indexStore.entries();
+            this.index = new Map(entries);
+        } catch (error) {
+            console.error('Error loading offline snapshots:', error);
+            this.index = new Map();
+        }
+    }
+
+    has(url) {
+        return this.index.has(url);
+    }
+
+    isSaving(url) {
+        return this.pending.has(url);
+    }
+
+    // Access to the article's own site (or, for a local file, its folder); ports are left out
+    // because match patterns don't take them
+    getOriginPattern(url) {
+        const parsed = new URL(url);
+        if (parsed.protocol === 'file:') {
+            return `file://${parsed.pathname.replace(/[^/]*$/, '')}*`;
+        }
+        return `*://${parsed.hostname}/*`;
+    }
+
+    // The site over http and https, with and without "www.", since pages often
+    // redirect between those
+    getSitePatterns(url) {
+        const pattern = this.getOriginPattern(url);
+        const { hostname } = new URL(url);
+        if (!pattern.startsWith('*://') || !hostname.includes('.') || /^[\d.]+$|^\[/.test(hostname)) {
+            return [pattern];
+        }
+        const alias = hostname.startsWith('www.') ? hostname.slice(4) : `www.${hostname}`;
+        return [pattern, `*://${alias}/*`];
+    }
+
+    // Must be called from a user gesture the first time
+    async requestPermission(url) {
+        if (!chrome.permissions) return true;
+
+        const permissions = { origins: this.getSitePatterns(url) };
+        if (await chrome.permissions.contains(permissions)) return true;
+        return chrome.permissions.request(permissions);
+    }
+
+    async hasPermission(url) {
+        if (!chrome.permissions) return true;
+        return chrome.permissions.contains({ origins: [this.getOriginPattern(url)] });
+    }
+
+    // Fetches the page, extracts the article and stores it; resolves to the index entry
+    save(url) {
+        if (!this.pending.has(url)) {
+            const saving = this.capture(url).finally(() => this.pending.delete(url));
+            this.pending.set(url, saving);
+        }
+        return this.pending.get(url);
+    }
+
+    async capture(url) {
+        const html = await this.fetchText(url);
+        const doc = new DOMParser().parseFromString(html, 'text/html');
+        const article = this.extractor.extract(doc, url);
+
+        if (!article.content.textContent.trim()) {
+            throw new Error('No readable content found on the page');
+        }
+        await this.inlineImages(article.content);
+
+        const snapshot = {
+            url,
+            title: article.title,
+            siteName: article.siteName,
+            byline: article.byline,
+            html: article.content.innerHTML,
+            savedAt: Date.now()
+        };
+        const entry = {
+            title: snapshot.title,
+            siteName: snapshot.siteName,
+            savedAt: snapshot.savedAt,
+            size: new Blob([snapshot.html]).size
+        };
+
+        await this.store.set(url, snapshot);
+        await this.indexStore.set(url, entry);
+        this.index.set(url, entry);
+        return entry;
+    }
+
+    async fetchText(url) {
+        // fetch() doesn't do file: URLs; XHR does when the extension may read local files
+        if (new URL(url).protocol === 'file:') {
+            return this.readLocalFile(url);
+        }
+
+        let response;
+        try {
+            response = await fetch(url, {
+                credentials: 'include',
+                signal: AbortSignal.timeout(this.timeout)
+            });
+        } catch (error) {
+            if (await this.redirectsAway(url)) {
+                throw new Error('The page redirects to another site, which the extension has no access to. Add the address it ends up at to the reading list instead.');
+            }
+            throw error;
+        }
+        if (!response.ok) {
+            throw new Error(`The page answered ${response.status}`);
+        }
+        return response.text();
+    }
+
+    // Following a redirect to a site without access fails like a network error;
+    // not following it tells the two apart
+    async redirectsAway(url) {
+        try {
+            const response = await fetch(url, {
+                credentials: 'include',
+                redirect: 'manual',
+                signal: AbortSignal.timeout(this.timeout)
+            });
+            return response.type === 'opaqueredirect';
+        } catch {
+            return false;
+        }
+    }
+
+    readLocalFile(url) {
+        return new Promise((resolve, reject) => {
+            const request = new XMLHttpRequest();
+            request.open('GET', url);
+            request.timeout = this.timeout;
+            request.onload = () => resolve(request.responseText);
+            request.onerror = () => reject(new Error('Could not read the file. Allow access to file URLs for the extension.'));
+            request.ontimeout = () => reject(new Error('Reading the file timed out'));
+            request.send();
+        });
+    }
+
+    // Images that can't be fetched are dropped rather than left pointing at the network.
+    // So are images on sites the extension wasn't given access to, e.g. a CDN; asking for
+    // every one of those sites would be a much wider grant than saving one article needs
+    async inlineImages(content) {
+        const images = [...content.querySelectorAll('img')];
+        images.slice(this.maxImages).forEach(img => img.remove());
+
+        const access = new Map();
+        const isAllowed = src => {
+            const pattern = this.getOriginPattern(src);
+            if (!access.has(pattern)) access.set(pattern, this.hasPermission(src));
+            return access.get(pattern);
+        };
+
+        await Promise.all(images.slice(0, this.maxImages).map(async img => {
+            if (img.src.startsWith('data:')) return;
+
+            const dataUrl = await isAllowed(img.src) ? await this.fetchDataUrl(img.src) : null;
+            if (dataUrl) {
+                img.src = dataUrl;
+            } else {
+                img.remove();
+            }
+        }));
+    }
+
+    async fetchDataUrl(url) {
+        try {
+            const blob = new URL(url).protocol === 'file:' ?
+                await this.readLocalBlob(url) :
+                await fetch(url, { credentials: 'omit', signal: AbortSignal.timeout(this.timeout) })
+                    .then(response => response.ok ? response.blob() : null);
+            if (!blob || !blob.type.startsWith('image/') || blob.size === 0 || blob.size > this.maxImageSize) return null;
+            return await this.readAsDataUrl(blob);
+        } catch {
+            return null;
+        }
+    }
+
+    readLocalBlob(url) {
+        return new Promise((resolve, reject) => {
+            const request = new XMLHttpRequest();
+            request.open('GET', url);
+            request.responseType = 'blob';
+            request.timeout = this.timeout;
+            request.onload = () => resolve(request.response);
+            request.onerror = () => reject(request.error);
+            request.ontimeout = () => reject(new Error('Timed out'));
+            request.send();
+        });
+    }
+
+    readAsDataUrl(blob) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(blob);
+        });
+    }
+
+    get(url) {
+        return this.store.get(url);
+    }
+
+    async delete(url) {
+        if (!this.index.has(url)) return;
+
+        this.index.delete(url);
+        await Promise.all([this.store.delete(url), this.indexStore.delete(url)]);
+    }
+
+    async clear() {
+        this.index.clear();
+        await Promise.all([this.store.clear(), this.indexStore.clear()]);
+    }
+
+    // Snapshots of items no longer in the reading list
+    async prune(urls) {
+        const removed = [...this.index.keys()].filter(url => !urls.has(url));
+        await Promise.all(removed.map(url => this.delete(url)));
+        return removed.length;
+    }
+
+    getUsage() {
+        let size = 0;
+        this.index.forEach(entry => {
+            size += entry.size;
+        });
+        return { count: this.index.size, size };
+    }
+}
@@ -1,8 +1,23 @@
 // Reading list management module
+import { FuzzySearch } from './fuzzy-search.js';
+
 export class ReadingListManager {
-    constructor() {
+    constructor(storage = null, snoozes = null) {
         this.items = [];
+        this.snoozes = snoozes;
         this.usesChromeAPI = false;
+        // Whether items reflects storage; an empty list is only trusted once it does
+        this.isLoaded = false;
+        this.search = new FuzzySearch();
+        
+        // Chrome's own reading list already syncs; only the custom fallback needs us
+        this.storage = storage;
+        this.storage?.register('readingList', {
+            merge: 'list',
+            identify: item => item.url,
+            read: () => this.usesChromeAPI ? null : this.items,
+            apply: items => this.applySynced(items)
+        });
     }
 
     async load() {
@@ -15,6 +30,8 @@ export class ReadingListManager {
                     title: item.title,
                     url: item.url,
                     hasBeenRead: item.hasBeenRead,
+                    // Chrome doesn't record when an entry was read, only when it last changed
+                    readAt: item.hasBeenRead ? item.lastUpdateTime : null,
                     dateAdded: item.creationTime
                 }));
                 this.usesChromeAPI = true;
@@ -26,12 +43,14 @@ export class ReadingListManager {
                 this.usesChromeAPI = false;
                 console.log(`Loaded ${this.items.length} items from custom storage`);
             }
+            this.isLoaded = true;
         } catch (error) {
             console.error('Error loading reading list:', error);
             // Fallback to custom storage
             const result = await chrome.storage.local.get(['readingList']);
             this.items = result.readingList || [];
             this.usesChromeAPI = false;
+            this.isLoaded = true;
         }
     }
 
@@ -39,33 +58,21 @@ export class ReadingListManager {
         if (!this.usesChromeAPI) {
             try {
                 await chrome.storage.local.set({ readingList: this.items });
+                this.storage?.push('readingList');
             } catch (error) {
                 console.error('Error saving reading list:', error);
             }
         }
     }
 
+    async applySynced(items) {
+        this.items = items;
+        await chrome.storage.local.set({ readingList: this.items });
+    }
+
     async add(bookmark) {
         try {
-            if (this.usesChromeAPI && chrome.readingList) {
-                await chrome.readingList.addEntry({
-                    title: bookmark.title,
-                    url: bookmark.url,
-                    hasBeenRead: false
-                });
-            } else {
-                // Custom storage fallback
-                const exists = this.items.some(item => item.url === bookmark.url);
-                if (!exists) {
-                    this.items.push({
-                        id: bookmark.url,
-                        title: bookmark.title,
-                        url: bookmark.url,
-                        dateAdded: Date.now()
-                    });
-                    await this.save();
-                }
-            }
+            await this.addEntry(bookmark);
             
             // Refresh the list
             await this.load();
@@ -75,6 +82,48 @@ export class ReadingListManager {
         }
     }
 
+    // Adds several entries with a single reload; returns how many were new
+    async addMany(bookmarks) {
+        try {
+            let added = 0;
+            for (const bookmark of bookmarks) {
+                if (this.exists(bookmark.url)) continue;
+                await this.addEntry(bookmark);
+                added++;
+            }
+            
+            await this.load();
+            return added;
+        } catch (error) {
+            console.error('Error adding to reading list:', error);
+            throw error;
+        }
+    }
+
+    async addEntry(bookmark) {
+        if (this.usesChromeAPI && chrome.readingList) {
+            await chrome.readingList.addEntry({
+                title: bookmark.title,
+                url: bookmark.url,
+                hasBeenRead: false
+            });
+        } else {
+            // Custom storage fallback
+            const exists = this.items.some(item => item.url === bookmark.url);
+            if (!exists) {
+                this.items.push({
+                    id: bookmark.url,
+                    title: bookmark.title,
+                    url: bookmark.url,
+                    hasBeenRead: false,
+                    readAt: null,
+                    dateAdded: Date.now()
+                });
+                await this.save();
+            }
+        }
+    }
+
     async remove(url) {
         try {
             if (this.usesChromeAPI && chrome.readingList) {
@@ -84,6 +133,7 @@ export class ReadingListManager {
                 this.items = this.items.filter(item => item.url !== url);
                 await this.save();
             }
+            await this.snoozes?.clear(url);
             
             // Refresh the list
             await this.load();
@@ -93,14 +143,109 @@ export class ReadingListManager {
         }
     }
 
-    getAll(query = '') {
-        if (!query.trim()) return this.items;
-        
-        const lowerQuery = query.toLowerCase();
-        return this.items.filter(item => 
-            item.title.toLowerCase().includes(lowerQuery) ||
-            item.url.toLowerCase().includes(lowerQuery)
-        );
+    // Opening an item marks it read; it can be marked unread again by hand
+    async setRead(url, read = true) {
+        const item = this.items.find(entry => entry.url === url);
+        if (!item || Boolean(item.hasBeenRead) === read) return false;
+
+        try {
+            if (this.usesChromeAPI && chrome.readingList) {
+                await chrome.readingList.updateEntry({ url, hasBeenRead: read });
+            } else {
+                // Custom storage fallback
+                item.hasBeenRead = read;
+                item.readAt = read ? Date.now() : null;
+                await this.save();
+            }
+            if (read) await this.snoozes?.clear(url);
+
+            await this.load();
+            return true;
+        } catch (error) {
+            console.error('Error updating reading list item:', error);
+            throw error;
+        }
+    }
+
+    // Read items older than the given number of days; returns how many were removed
+    async removeReadOlderThan(days) {
+        if (!days) return 0;
+
+        const cutoff = Date.now() - days * 24 * 60 * 60 * 1000;
+        const expired = this.items.filter(item => item.hasBeenRead && item.readAt && item.readAt < cutoff);
+        if (expired.length === 0) return 0;
+
+        try {
+            if (this.usesChromeAPI && chrome.readingList) {
+                for (const item of expired) {
+                    await chrome.readingList.removeEntry({ url: item.url });
+                }
+            } else {
+                // Custom storage fallback
+                this.items = this.items.filter(item => !expired.includes(item));
+                await this.save();
+            }
+
+            await this.load();
+            return expired.length;
+        } catch (error) {
+            console.error('Error cleaning up reading list:', error);
+            return 0;
+        }
+    }
+
+    // filter: 'unread', 'read', 'all' or 'snoozed'; sort: 'newest', 'oldest' or 'title'.
+    // A query ranks by relevance, so the sort only applies without one.
+    getAll(query = '', { filter = 'all', sort = 'newest' } = {}) {
+        const items = this.search.filter(this.items, query, this.getSearchAccessors())
+            .filter(item => this.matchesFilter(item, filter));
+        if (query.trim()) return items;
+
+        // Items back from a snooze come first
+        const sorted = this.sort(items, sort);
+        return [
+            ...sorted.filter(item => this.isDue(item.url)),
+            ...sorted.filter(item => !this.isDue(item.url))
+        ];
+    }
+
+    matchesFilter(item, filter) {
+        const snoozed = this.isSnoozed(item.url);
+        if (filter === 'snoozed') return snoozed;
+        if (snoozed) return false;
+        return filter === 'all' || Boolean(item.hasBeenRead) === (filter === 'read');
+    }
+
+    isSnoozed(url) {
+        return Boolean(this.snoozes?.isSnoozed(url));
+    }
+
+    isDue(url) {
+        return Boolean(this.snoozes?.isDue(url));
+    }
+
+    sort(items, order) {
+        const sorters = {
+            newest: (a, b) => (b.dateAdded || 0) - (a.dateAdded || 0),
+            oldest: (a, b) => (a.dateAdded || 0) - (b.dateAdded || 0),
+            title: (a, b) => (a.title || '').localeCompare(b.title || '')
+        };
+        return [...items].sort(sorters[order] || sorters.newest);
+    }
+
+    // Snoozed items don't count until they are due
+    getUnreadCount() {
+        return this.items.filter(item => !item.hasBeenRead && !this.isSnoozed(item.url)).length;
+    }
+
+    rank(query) {
+        return this.search.rank(this.items, query, this.getSearchAccessors());
+    }
+
+    getSearchAccessors() {
+        return {
+            isRead: item => Boolean(item.hasBeenRead)
+        };
     }
 
     exists(url) {
@@ -0,0 +1,124 @@
+// Snooze module - reading list items put away until a chosen time
+//
+// Stored in chrome.storage.local under "readingSnoozes" as
+// { [url]: { until, title, notified } }, for either reading list backend.
+// background.js keeps a chrome.alarms reminder for every entry and sets
+// "notified" once it has shown the notification. An entry past its time is
+// "due" until the item is opened, marked read, woken up or removed.
+import { RecordStore } from './record-store.js';
+
+export class SnoozeManager {
+    constructor() {
+        this.snoozes = {};
+        this.store = new RecordStore('readingSnoozes', 'snoozes');
+        this.changeListeners = new Set();
+        this.handleStorageChanged = this.handleStorageChanged.bind(this);
+    }
+
+    async load() {
+        this.snoozes = await this.store.load();
+    }
+
+    save() {
+        return this.store.save(this.snoozes);
+    }
+
+    // The worker and other tabs write the same key; keep this copy current so a
+    // later save doesn't bring back what they changed
+    watch() {
+        chrome.storage.onChanged?.addListener(this.handleStorageChanged);
+    }
+
+    handleStorageChanged(changes, areaName) {
+        if (areaName !== 'local' || !changes.readingSnoozes) return;
+
+        this.snoozes = changes.readingSnoozes.newValue || {};
+        this.changeListeners.forEach(listener => {
+            try {
+                listener();
+            } catch (error) {
+                console.error('Error in snooze change listener:', error);
+            }
+        });
+    }
+
+    addChangeListener(listener) {
+        this.changeListeners.add(listener);
+        return () => this.changeListeners.delete(listener);
+    }
+
+    get(url) {
+        return this.snoozes[url] || null;
+    }
+
+    isSnoozed(url, now = Date.now()) {
+        const snooze = this.get(url);
+        return Boolean(snooze) && snooze.until > now;
+    }
+
+    isDue(url, now = Date.now()) {
+        const snooze = this.get(url);
+        return Boolean(snooze) && snooze.until <= now;
+    }
+
+    async snooze(url, title, until) {
+        this.snoozes[url] = { until, title, notified: false };
+        await this.save();
+    }
+
+    async clear(url) {
+        if (!this.snoozes[url]) return false;
+        delete this.snoozes[url];
+        await this.save();
+        return true;
+    }
+
+    // Drops the snoozes of items no longer in the reading list
+    prune(urls) {
+        return this.store.prune(this.snoozes, urls);
+    }
+
+    // When the next snoozed item comes back, or null
+    getNextWakeTime(now = Date.now()) {
+        const times = Object.values(this.snoozes).map(snooze => snooze.until).filter(until => until > now);
+        return times.length > 0 ? Math.min(...times) : null;
+    }
+
+    // Tonight, tomorrow morning, Saturday morning and Monday morning, without repeats
+    getPresets(now = new Date()) {
+        const at = (days, hours) => {
+            const date = new Date(now);
+            date.setDate(date.getDate() + days);
+            date.setHours(hours, 0, 0, 0);
+            return date;
+        };
+        const day = now.getDay();
+        const isWeekend = day === 0 || day === 6;
+
+        const presets = [];
+        if (now.getHours() < 18) {
+            presets.push({ id: 'tonight', label: 'Tonight', time: at(0, 20) });
+        }
+        presets.push({ id: 'tomorrow', label: 'Tomorrow', time: at(1, 9) });
+        presets.push({ id: 'weekend', label: isWeekend ? 'Next weekend' : 'This weekend', time: at((6 - day + 7) % 7 || 7, 9) });
+        presets.push({ id: 'next-week', label: 'Next week', time: at((8 - day) % 7 || 7, 9) });
+
+        return presets.filter((preset, index) =>
+            presets.findIndex(other => other.time.getTime() === preset.time.getTime()) === index);
+    }
+
+    formatTime(time) {
+        return new Date(time).toLocaleString(undefined, {
+            weekday: 'short',
+            month: 'short',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: '2-digit'
+        });
+    }
+
+    destroy() {
+        chrome.storage.onChanged?.removeListener(this.handleStorageChanged);
+        this.changeListeners.clear();
+    }
+}
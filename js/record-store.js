@@ -0,0 +1,37 @@
+// Record store module - an object of records keyed by id in chrome.storage.local
+//
+// For data that belongs to something kept elsewhere (bookmark tags and notes,
+// reading list snoozes): the owner loads the object, changes it in place and
+// saves it whole, and prunes the records whose id no longer exists.
+export class RecordStore {
+    constructor(storageKey, label) {
+        this.storageKey = storageKey;
+        this.label = label;
+    }
+
+    async load() {
+        try {
+            const result = await chrome.storage.local.get([this.storageKey]);
+            return result[this.storageKey] || {};
+        } catch (error) {
+            console.error(`Error loading ${this.label}:`, error);
+            return {};
+        }
+    }
+
+    async save(records) {
+        try {
+            await chrome.storage.local.set({ [this.storageKey]: records });
+        } catch (error) {
+            console.error(`Error saving ${this.label}:`, error);
+        }
+    }
+
+    // Removes the records whose id isn't in liveIds; returns how many went
+    prune(records, liveIds) {
+        const removed = Object.keys(records).filter(id => !liveIds.has(id));
+        removed.forEach(id => delete records[id]);
+        if (removed.length > 0) this.save(records);
+        return removed.length;
+    }
+}
@@ -0,0 +1,260 @@
+// Multi-select and bulk actions for bookmark cards
+export class SelectionManager {
+    constructor(app) {
+        this.app = app;
+        this.selectedIds = new Set();
+        this.anchorId = null;
+        this.elements = {};
+        this.boundHandlers = {};
+
+        // Rubber-band selection state
+        this.band = null;
+    }
+
+    init() {
+        this.cacheElements();
+        this.bindHandlers();
+        this.setupEventListeners();
+    }
+
+    cacheElements() {
+        this.elements = {
+            bar: document.getElementById('bulk-bar'),
+            count: document.getElementById('bulk-count'),
+            moveFolder: document.getElementById('bulk-move-folder'),
+            grids: document.querySelectorAll('.grid')
+        };
+    }
+
+    bindHandlers() {
+        this.boundHandlers.handleBarClick = this.handleBarClick.bind(this);
+        this.boundHandlers.handleGridMouseDown = this.handleGridMouseDown.bind(this);
+        this.boundHandlers.handleMouseMove = this.handleMouseMove.bind(this);
+        this.boundHandlers.handleMouseUp = this.handleMouseUp.bind(this);
+    }
+
+    setupEventListeners() {
+        this.elements.bar?.addEventListener('click', this.boundHandlers.handleBarClick);
+        this.elements.grids.forEach(grid => {
+            grid.addEventListener('mousedown', this.boundHandlers.handleGridMouseDown);
+        });
+    }
+
+    // Called for every document click; returns true when the click was a selection gesture
+    handleClick(e) {
+        const card = e.target.closest('.bookmark-card');
+        if (!card?.dataset.id || e.target.closest('.action-btn')) return false;
+
+        const isCheckbox = Boolean(e.target.closest('.select-checkbox'));
+        const isModified = e.ctrlKey || e.metaKey || e.shiftKey;
+        // Once something is selected, plain clicks keep selecting instead of opening
+        if (!isCheckbox && !isModified && this.selectedIds.size === 0) return false;
+
+        e.preventDefault();
+        e.stopPropagation();
+
+        if (e.shiftKey && this.anchorId) {
+            this.selectRange(card);
+        } else {
+            this.toggle(card.dataset.id);
+            this.anchorId = card.dataset.id;
+        }
+        return true;
+    }
+
+    toggle(id) {
+        if (this.selectedIds.has(id)) {
+            this.selectedIds.delete(id);
+        } else {
+            this.selectedIds.add(id);
+        }
+        this.update();
+    }
+
+    // Shift-click selects every card between the anchor and the clicked card in the same grid
+    selectRange(card) {
+        const cards = [...card.parentElement.querySelectorAll('.bookmark-card')];
+        const anchorIndex = cards.findIndex(element => element.dataset.id === this.anchorId);
+        const targetIndex = cards.indexOf(card);
+
+        if (anchorIndex === -1) {
+            this.toggle(card.dataset.id);
+            this.anchorId = card.dataset.id;
+            return;
+        }
+
+        const [start, end] = anchorIndex < targetIndex ? [anchorIndex, targetIndex] : [targetIndex, anchorIndex];
+        cards.slice(start, end + 1).forEach(element => this.selectedIds.add(element.dataset.id));
+        this.update();
+    }
+
+    selectAll(grid) {
+        grid?.querySelectorAll('.bookmark-card').forEach(card => this.selectedIds.add(card.dataset.id));
+        this.update();
+    }
+
+    clear() {
+        if (this.selectedIds.size === 0) return;
+        this.selectedIds.clear();
+        this.anchorId = null;
+        this.update();
+    }
+
+    hasSelection() {
+        return this.selectedIds.size > 0;
+    }
+
+    isSelected(id) {
+        return this.selectedIds.has(id);
+    }
+
+    getSelectedIds() {
+        return [...this.selectedIds];
+    }
+
+    // Re-applies selection state to freshly rendered cards and drops ids that no longer exist
+    sync() {
+        this.selectedIds.forEach(id => {
+            if (!this.app.bookmarks.getBookmark(id)) this.selectedIds.delete(id);
+        });
+        this.update();
+    }
+
+    update() {
+        document.querySelectorAll('.bookmark-card').forEach(card => {
+            const isSelected = this.selectedIds.has(card.dataset.id);
+            card.classList.toggle('selected', isSelected);
+            card.querySelector('.select-checkbox')?.setAttribute('aria-checked', String(isSelected));
+        });
+        document.body.classList.toggle('selection-mode', this.selectedIds.size > 0);
+        this.updateBar();
+    }
+
+    updateBar() {
+        const { bar, count, moveFolder } = this.elements;
+        if (!bar) return;
+
+        const size = this.selectedIds.size;
+        const wasHidden = bar.classList.contains('hidden');
+        bar.classList.toggle('hidden', size === 0);
+        if (count) {
+            count.textContent = `${size} selected`;
+        }
+
+        // Refresh folder choices each time the bar appears
+        if (size > 0 && wasHidden && moveFolder) {
+            this.app.ui.modals.populateFolderOptions(moveFolder, 'Move to folder...');
+        }
+    }
+
+    async handleBarClick(e) {
+        const button = e.target.closest('[data-bulk-action]');
+        if (!button) return;
+
+        const ids = this.getSelectedIds();
+        const action = button.dataset.bulkAction;
+        if (ids.length === 0 && action !== 'clear') return;
+
+        const actions = {
+            'move': () => this.moveSelection(ids),
+            'delete': () => this.app.bulkDelete(ids),
+            'favorite': () => this.app.bulkSetFavorite(ids, true),
+            'unfavorite': () => this.app.bulkSetFavorite(ids, false),
+            'reading': () => this.app.bulkAddToReadingList(ids),
+            'open': () => this.app.openBookmarks(ids),
+            'export': () => this.app.exportSelection(ids),
+            'clear': () => this.clear()
+        };
+
+        await actions[action]?.();
+
+        // Deleting or moving changes what the selection refers to
+        if (action === 'delete' || action === 'move') {
+            this.clear();
+        }
+    }
+
+    async moveSelection(ids) {
+        const parentId = this.elements.moveFolder?.value;
+        if (!parentId) {
+            this.app.showWarningMessage('Choose a folder to move the selection to');
+            return;
+        }
+        await this.app.bulkMove(ids, parentId);
+    }
+
+    // Rubber-band selection - drag on empty grid space to select the cards it touches
+    handleGridMouseDown(e) {
+        const grid = e.currentTarget;
+        if (e.button !== 0 || e.target.closest('.bookmark-card, .folder-card, .create-folder-card, .reading-item')) return;
+
+        e.preventDefault();
+        this.band = {
+            grid,
+            startX: e.clientX,
+            startY: e.clientY,
+            initialIds: (e.ctrlKey || e.metaKey || e.shiftKey) ? new Set(this.selectedIds) : new Set(),
+            element: null
+        };
+
+        document.addEventListener('mousemove', this.boundHandlers.handleMouseMove);
+        document.addEventListener('mouseup', this.boundHandlers.handleMouseUp);
+    }
+
+    handleMouseMove(e) {
+        if (!this.band) return;
+
+        const rect = {
+            left: Math.min(this.band.startX, e.clientX),
+            top: Math.min(this.band.startY, e.clientY),
+            right: Math.max(this.band.startX, e.clientX),
+            bottom: Math.max(this.band.startY, e.clientY)
+        };
+
+        // Ignore tiny movements so a plain click on empty space stays a click
+        if (!this.band.element && rect.right - rect.left < 5 && rect.bottom - rect.top < 5) return;
+
+        if (!this.band.element) {
+            this.band.element = document.createElement('div');
+            this.band.element.className = 'selection-band';
+            document.body.appendChild(this.band.element);
+        }
+
+        Object.assign(this.band.element.style, {
+            left: `${rect.left}px`,
+            top: `${rect.top}px`,
+            width: `${rect.right - rect.left}px`,
+            height: `${rect.bottom - rect.top}px`
+        });
+
+        this.selectedIds = new Set(this.band.initialIds);
+        this.band.grid.querySelectorAll('.bookmark-card').forEach(card => {
+            const box = card.getBoundingClientRect();
+            const intersects = box.left < rect.right && box.right > rect.left && box.top < rect.bottom && box.bottom > rect.top;
+            if (intersects) this.selectedIds.add(card.dataset.id);
+        });
+        this.update();
+    }
+
+    handleMouseUp() {
+        document.removeEventListener('mousemove', this.boundHandlers.handleMouseMove);
+        document.removeEventListener('mouseup', this.boundHandlers.handleMouseUp);
+
+        // A click on empty space without dragging clears the selection
+        if (this.band && !this.band.element && this.band.initialIds.size === 0) {
+            this.clear();
+        }
+
+        this.band?.element?.remove();
+        this.band = null;
+    }
+
+    destroy() {
+        this.elements.bar?.removeEventListener('click', this.boundHandlers.handleBarClick);
+        this.elements.grids?.forEach(grid => {
+            grid.removeEventListener('mousedown', this.boundHandlers.handleGridMouseDown);
+        });
+        this.handleMouseUp();
+        this.selectedIds.clear();
+    }
+}
@@ -1,11 +1,65 @@
 // Settings management module
+import { ThemePalette } from './theme-palette.js';
+import { FontLibrary } from './font-library.js';
+
 export class SettingsManager {
-    constructor() {
+    constructor(storage = null) {
         this.current = {
             theme: 'dark-modern',
             fontFamily: 'system',
-            fontSize: 16
+            // 'default' follows fontFamily; uploaded fonts are 'user:<id>'
+            headingFont: 'default',
+            clockFont: 'default',
+            fontSize: 16,
+            searchEngine: 'google',
+            searchEngines: [],
+            remoteFavicons: true,
+            readingFilter: 'unread',
+            readingSort: 'newest',
+            readingAutoRemoveDays: 0,
+            customThemes: [],
+            // 'off', 'system' (prefers-color-scheme) or 'schedule' (dark between darkFrom and darkUntil)
+            autoTheme: 'off',
+            lightTheme: 'minimal-light',
+            darkTheme: 'dark-modern',
+            darkFrom: '19:00',
+            darkUntil: '07:00'
         };
+        
+        this.themes = [
+            { id: 'dark-modern', name: 'Dark Modern' },
+            { id: 'midnight-purple', name: 'Midnight Purple' },
+            { id: 'forest-green', name: 'Forest Green' },
+            { id: 'sunset-orange', name: 'Sunset Orange' },
+            { id: 'arctic-blue', name: 'Arctic Blue' },
+            { id: 'minimal-light', name: 'Minimal Light' }
+        ];
+        this.palette = new ThemePalette();
+        
+        // Bundled with the extension, see css/fonts.css
+        this.fontFamilies = [
+            { id: 'system', name: 'System Default', family: '-apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif' },
+            { id: 'poppins', name: 'Poppins', family: '"Poppins", sans-serif' },
+            { id: 'inter', name: 'Inter', family: '"Inter", sans-serif' },
+            { id: 'roboto', name: 'Roboto', family: '"Roboto", sans-serif' },
+            { id: 'open-sans', name: 'Open Sans', family: '"Open Sans", sans-serif' },
+            { id: 'source-sans', name: 'Source Sans Pro', family: '"Source Sans Pro", sans-serif' },
+            { id: 'lato', name: 'Lato', family: '"Lato", sans-serif' }
+        ];
+        this.fonts = new FontLibrary();
+        
+        // Automatic themes switch live, when the system setting flips or the schedule says so
+        this.colorScheme = window.matchMedia?.('(prefers-color-scheme: dark)') || null;
+        this.autoThemeTimer = null;
+        this.handleColorSchemeChange = this.handleColorSchemeChange.bind(this);
+        this.colorScheme?.addEventListener('change', this.handleColorSchemeChange);
+        
+        this.storage = storage;
+        this.storage?.register('settings', {
+            merge: 'fields',
+            read: () => this.current,
+            apply: settings => this.applySynced(settings)
+        });
     }
 
     async load() {
@@ -13,10 +67,12 @@ export class SettingsManager {
             const result = await chrome.storage.local.get(['userSettings']);
             this.current = { ...this.current, ...result.userSettings };
             this.apply(this.current);
+            this.loadFonts();
             return this.current;
         } catch (error) {
             console.error('Error loading settings:', error);
             this.apply(this.current);
+            this.loadFonts();
             return this.current;
         }
     }
@@ -26,57 +82,163 @@ export class SettingsManager {
             this.current = { ...this.current, ...settings };
             await chrome.storage.local.set({ userSettings: this.current });
             this.apply(this.current);
+            this.storage?.push('settings');
         } catch (error) {
             console.error('Error saving settings:', error);
             throw error;
         }
     }
 
+    // Uploaded fonts come out of IndexedDB after the page is drawn; until then the text uses the fallback
+    async loadFonts() {
+        await this.fonts.load();
+        if (this.fonts.list().length > 0) {
+            this.applyFonts(this.current);
+        }
+    }
+
+    // Settings changed on another device
+    async applySynced(settings) {
+        this.current = { ...this.current, ...settings };
+        await chrome.storage.local.set({ userSettings: this.current });
+        this.apply(this.current);
+    }
+
     apply(settings) {
-        // Apply theme
-        document.documentElement.setAttribute('data-theme', settings.theme);
+        // Apply theme - custom themes set their variables inline, over the :root defaults
+        const root = document.documentElement;
+        const themeId = this.getActiveTheme(settings);
+        const customTheme = this.getCustomTheme(themeId, settings);
+        const variables = customTheme ? this.palette.toVariables(customTheme) : {};
+        this.palette.variableNames.forEach(name => {
+            if (variables[name]) {
+                root.style.setProperty(name, variables[name]);
+            } else {
+                root.style.removeProperty(name);
+            }
+        });
+        
+        // A custom theme that was deleted falls back to the default
+        const isBuiltIn = this.themes.some(theme => theme.id === themeId);
+        root.setAttribute('data-theme', customTheme ? 'custom' : isBuiltIn ? themeId : 'dark-modern');
+        this.scheduleAutoTheme(settings);
         
-        // Apply font family
-        const fontFamily = this.getFontFamily(settings.fontFamily);
-        document.documentElement.style.setProperty('--font-family', fontFamily);
-        document.documentElement.style.setProperty('--font-size', `${settings.fontSize}px`);
+        this.applyFonts(settings);
+    }
+
+    // Headings and the clock use the text font unless they have one of their own that is still there
+    applyFonts(settings) {
+        const root = document.documentElement;
+        root.style.setProperty('--font-family', this.getFontFamily(settings.fontFamily));
+        root.style.setProperty('--font-size', `${settings.fontSize}px`);
         
-        // Load Google Font if needed
-        if (settings.fontFamily !== 'system') {
-            this.loadGoogleFont(settings.fontFamily);
+        [['--heading-font-family', settings.headingFont], ['--clock-font-family', settings.clockFont]].forEach(([name, fontKey]) => {
+            if (fontKey && fontKey !== 'default' && this.isFontAvailable(fontKey)) {
+                root.style.setProperty(name, this.getFontFamily(fontKey));
+            } else {
+                root.style.removeProperty(name);
+            }
+        });
+    }
+
+    // Built-in themes first, then the user's own
+    getThemes() {
+        return [
+            ...this.themes,
+            ...(this.current.customThemes || []).map(({ id, name }) => ({ id, name }))
+        ];
+    }
+
+    getCustomTheme(themeId, settings = this.current) {
+        return (settings.customThemes || []).find(theme => theme.id === themeId) || null;
+    }
+
+    // The theme showing right now, which differs from settings.theme in auto mode
+    getActiveTheme(settings = this.current, now = new Date()) {
+        if (settings.autoTheme === 'system' && this.colorScheme) {
+            return this.colorScheme.matches ? settings.darkTheme : settings.lightTheme;
+        }
+        if (settings.autoTheme === 'schedule') {
+            return this.isDarkTime(settings, now) ? settings.darkTheme : settings.lightTheme;
         }
+        return settings.theme;
     }
 
-    getFontFamily(fontKey) {
-        const fontFamilies = {
-            'system': '-apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif',
-            'poppins': '"Poppins", sans-serif',
-            'inter': '"Inter", sans-serif',
-            'roboto': '"Roboto", sans-serif',
-            'open-sans': '"Open Sans", sans-serif',
-            'source-sans': '"Source Sans Pro", sans-serif',
-            'lato': '"Lato", sans-serif'
-        };
+    // "HH:MM" to minutes past midnight
+    toMinutes(time) {
+        const [hours, minutes] = String(time).split(':').map(Number);
+        return hours * 60 + minutes;
+    }
+
+    // The dark period may run past midnight, e.g. 19:00 to 07:00
+    isDarkTime(settings, now = new Date()) {
+        const minutes = now.getHours() * 60 + now.getMinutes();
+        const from = this.toMinutes(settings.darkFrom);
+        const until = this.toMinutes(settings.darkUntil);
         
-        return fontFamilies[fontKey] || fontFamilies.system;
+        if (from <= until) {
+            return minutes >= from && minutes < until;
+        }
+        return minutes >= from || minutes < until;
     }
 
-    loadGoogleFont(fontFamily) {
-        const fontUrls = {
-            'poppins': 'https://fonts.googleapis.com/css2?family=Poppins:wght@400;500;600;700&display=swap',
-            'inter': 'https://fonts.googleapis.com/css2?family=Inter:wght@400;500;600;700&display=swap',
-            'roboto': 'https://fonts.googleapis.com/css2?family=Roboto:wght@400;500;700&display=swap',
-            'open-sans': 'https://fonts.googleapis.com/css2?family=Open+Sans:wght@400;500;600;700&display=swap',
-            'source-sans': 'https://fonts.googleapis.com/css2?family=Source+Sans+Pro:wght@400;600;700&display=swap',
-            'lato': 'https://fonts.googleapis.com/css2?family=Lato:wght@400;700&display=swap'
-        };
+    getNextSwitchTime(settings, now = new Date()) {
+        return Math.min(...[settings.darkFrom, settings.darkUntil].map(time => {
+            const minutes = this.toMinutes(time);
+            const date = new Date(now);
+            date.setHours(Math.floor(minutes / 60), minutes % 60, 0, 0);
+            if (date <= now) date.setDate(date.getDate() + 1);
+            return date.getTime();
+        }));
+    }
+
+    scheduleAutoTheme(settings) {
+        clearTimeout(this.autoThemeTimer);
+        this.autoThemeTimer = null;
+        if (settings.autoTheme !== 'schedule') return;
         
-        const fontUrl = fontUrls[fontFamily];
-        if (fontUrl && !document.querySelector(`link[href="${fontUrl}"]`)) {
-            const link = document.createElement('link');
-            link.rel = 'stylesheet';
-            link.href = fontUrl;
-            document.head.appendChild(link);
+        const delay = this.getNextSwitchTime(settings) - Date.now();
+        this.autoThemeTimer = setTimeout(() => this.apply(this.current), delay);
+    }
+
+    handleColorSchemeChange() {
+        if (this.current.autoTheme === 'system') {
+            this.apply(this.current);
+        }
+    }
+
+    destroy() {
+        clearTimeout(this.autoThemeTimer);
+        this.colorScheme?.removeEventListener('change', this.handleColorSchemeChange);
+    }
+
+    // Bundled fonts first, then the uploaded ones
+    getFonts() {
+        return [
+            ...this.fontFamilies.map(({ id, name }) => ({ id, name })),
+            ...this.fonts.list().map(({ id, name }) => ({ id: `user:${id}`, name }))
+        ];
+    }
+
+    isFontAvailable(fontKey) {
+        return fontKey.startsWith('user:') ?
+            this.fonts.has(fontKey.slice('user:'.length)) :
+            this.fontFamilies.some(font => font.id === fontKey);
+    }
+
+    // Fonts uploaded on another device (synced settings) aren't here and fall back to the system font
+    getFontFamily(fontKey) {
+        const system = this.fontFamilies[0].family;
+        if (fontKey?.startsWith('user:')) {
+            const id = fontKey.slice('user:'.length);
+            return this.fonts.has(id) ? `"${this.fonts.getFamily(id)}", ${system}` : system;
         }
+        
+        return this.fontFamilies.find(font => font.id === fontKey)?.family || system;
+    }
+
+    async removeFont(id) {
+        await this.fonts.remove(id);
+        this.applyFonts(this.current);
     }
-}
\ No newline at end of file
+}
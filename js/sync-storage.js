@@ -0,0 +1,371 @@
+// Cross-device sync on top of chrome.storage.sync
+//
+// Each manager keeps writing its own data to chrome.storage.local and registers
+// a key here with read() / apply() callbacks. When sync is switched on, the
+// value from read() is mirrored to chrome.storage.sync and remote changes are
+// merged in and handed to apply().
+//
+// storage.sync allows only ~8 KB per item, so a value is stored as a meta item
+// ("sync:<key>" -> { rev, chunks, updatedAt }) plus chunk items
+// ("sync:<key>:<n>" -> { rev, data }). Chunks carry the revision of the write
+// they belong to, so a half-synced value is ignored until the rest arrives.
+//
+// Conflicts are resolved with a three-way merge against the last value both
+// sides agreed on (the "base"): lists merge item by item, objects field by field.
+export class SyncStorage {
+    constructor() {
+        this.enabled = false;
+        this.registrations = new Map();
+        this.bases = {};
+        this.ownRevisions = new Set();
+        this.changeListeners = new Set();
+        this.errorListeners = new Set();
+        this.pendingWrites = new Map();
+        this.pendingReads = new Map();
+        this.keysOverQuota = new Set();
+
+        // storage.sync allows 120 writes a minute; coalesce bursts of saves
+        this.writeDelay = 2000;
+        this.readDelay = 100;
+        this.prefix = 'sync:';
+
+        this.handleStorageChanged = this.handleStorageChanged.bind(this);
+    }
+
+    // options: { read, apply, merge: 'list' | 'fields', identify(item) for lists }
+    register(key, options) {
+        this.registrations.set(key, { merge: 'fields', ...options });
+    }
+
+    async init() {
+        try {
+            const result = await chrome.storage.local.get(['syncEnabled', 'syncBases']);
+            this.enabled = Boolean(result.syncEnabled);
+            this.bases = result.syncBases || {};
+        } catch (error) {
+            console.error('Error loading sync state:', error);
+        }
+
+        if (!chrome.storage.sync) {
+            this.enabled = false;
+            return;
+        }
+
+        chrome.storage.onChanged.addListener(this.handleStorageChanged);
+        if (this.enabled) {
+            await this.pullAll();
+        }
+    }
+
+    isAvailable() {
+        return Boolean(chrome.storage.sync);
+    }
+
+    async setEnabled(enabled) {
+        if (enabled && !this.isAvailable()) {
+            throw new Error('Sync storage is not available in this browser');
+        }
+
+        this.enabled = enabled;
+        await chrome.storage.local.set({ syncEnabled: enabled });
+
+        // Turning sync on merges this device's data with whatever other devices stored
+        if (enabled) {
+            await this.pullAll();
+        }
+    }
+
+    addChangeListener(listener) {
+        this.changeListeners.add(listener);
+        return () => this.changeListeners.delete(listener);
+    }
+
+    addErrorListener(listener) {
+        this.errorListeners.add(listener);
+        return () => this.errorListeners.delete(listener);
+    }
+
+    // Called by managers after every local save. Goes through pull() rather than
+    // writing directly, so a change another device made meanwhile is merged, not overwritten.
+    push(key) {
+        if (!this.enabled || !this.registrations.has(key)) return;
+
+        clearTimeout(this.pendingWrites.get(key));
+        this.pendingWrites.set(key, setTimeout(() => {
+            this.pendingWrites.delete(key);
+            this.pull(key).catch(error => this.reportError(key, error));
+        }, this.writeDelay));
+    }
+
+    // Writes anything still waiting for its delay, e.g. before the page closes
+    async flush() {
+        const keys = [...this.pendingWrites.keys()];
+        keys.forEach(key => clearTimeout(this.pendingWrites.get(key)));
+        this.pendingWrites.clear();
+
+        for (const key of keys) {
+            await this.pull(key).catch(error => this.reportError(key, error));
+        }
+    }
+
+    async pullAll() {
+        for (const key of this.registrations.keys()) {
+            try {
+                await this.pull(key);
+            } catch (error) {
+                this.reportError(key, error);
+            }
+        }
+    }
+
+    // Merges the remote value into this device, then writes back anything the remote was missing.
+    // Unchanged data on both sides ends without a write.
+    async pull(key) {
+        const registration = this.registrations.get(key);
+        const local = registration.read();
+        if (local === null || local === undefined) return;
+
+        const remote = await this.readRemote(key);
+        if (remote === null) {
+            await this.write(key);
+            return;
+        }
+        if (remote === undefined) return;
+
+        const merged = this.merge(registration, this.bases[key] ?? null, local, remote);
+        if (!this.isEqual(merged, local)) {
+            await registration.apply(merged);
+            this.notifyChange(key);
+        }
+
+        if (this.isEqual(merged, remote)) {
+            await this.saveBase(key, merged);
+        } else {
+            await this.write(key, merged);
+        }
+    }
+
+    async write(key, value = this.registrations.get(key)?.read()) {
+        if (!this.enabled || value === null || value === undefined) return;
+
+        const metaKey = this.prefix + key;
+        const rev = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+        const chunks = this.split(JSON.stringify(value), `${metaKey}:000`);
+
+        const items = { [metaKey]: { rev, chunks: chunks.length, updatedAt: Date.now() } };
+        chunks.forEach((data, index) => {
+            items[`${metaKey}:${index}`] = { rev, data };
+        });
+
+        const stored = await chrome.storage.sync.get(null);
+        this.checkQuota(key, items, stored);
+
+        this.ownRevisions.add(rev);
+        await chrome.storage.sync.set(items);
+
+        // Drop chunks left over from a longer previous value
+        const staleKeys = Object.keys(stored).filter(itemKey =>
+            itemKey.startsWith(`${metaKey}:`) && !(itemKey in items));
+        if (staleKeys.length) {
+            await chrome.storage.sync.remove(staleKeys);
+        }
+
+        this.keysOverQuota.delete(key);
+        await this.saveBase(key, value);
+    }
+
+    // null when nothing is stored yet, undefined while the chunks are still arriving
+    async readRemote(key) {
+        const metaKey = this.prefix + key;
+        const metaResult = await chrome.storage.sync.get(metaKey);
+        const meta = metaResult[metaKey];
+        if (!meta) return null;
+
+        const chunkKeys = Array.from({ length: meta.chunks }, (_, index) => `${metaKey}:${index}`);
+        const chunkResult = await chrome.storage.sync.get(chunkKeys);
+        const chunks = chunkKeys.map(chunkKey => chunkResult[chunkKey]);
+        if (chunks.some(chunk => chunk?.rev !== meta.rev)) return undefined;
+
+        try {
+            return JSON.parse(chunks.map(chunk => chunk.data).join(''));
+        } catch {
+            return undefined;
+        }
+    }
+
+    // Splits a string so each chunk item (key plus JSON-encoded value) fits QUOTA_BYTES_PER_ITEM
+    split(text, sampleKey) {
+        const maxBytes = (chrome.storage.sync.QUOTA_BYTES_PER_ITEM || 8192) - sampleKey.length - 64;
+        const encoder = new TextEncoder();
+        const chunks = [];
+        let start = 0;
+
+        while (start < text.length) {
+            let size = Math.min(maxBytes, text.length - start);
+            // Escaping and multi-byte characters make the encoded chunk larger than its length
+            while (size > 1 && encoder.encode(JSON.stringify(text.slice(start, start + size))).length > maxBytes) {
+                size = Math.floor(size * 0.9);
+            }
+            // Never cut a surrogate pair in half
+            const code = text.charCodeAt(start + size - 1);
+            if (size > 1 && code >= 0xd800 && code <= 0xdbff) size--;
+
+            chunks.push(text.slice(start, start + size));
+            start += size;
+        }
+
+        return chunks.length ? chunks : [''];
+    }
+
+    // The new value replaces this key's current items, so only everything else counts against it
+    checkQuota(key, items, stored) {
+        const quota = chrome.storage.sync.QUOTA_BYTES || 102400;
+        const maxItems = chrome.storage.sync.MAX_ITEMS || 512;
+        const metaKey = this.prefix + key;
+        const encoder = new TextEncoder();
+
+        const others = Object.entries(stored).filter(([itemKey]) => itemKey !== metaKey && !itemKey.startsWith(`${metaKey}:`));
+        const size = entries => entries.reduce((total, [itemKey, value]) =>
+            total + encoder.encode(itemKey + JSON.stringify(value)).length, 0);
+
+        const needed = size(others) + size(Object.entries(items));
+        if (needed > quota || others.length + Object.keys(items).length > maxItems) {
+            const error = new Error(`Not enough sync storage for ${key} (${Math.ceil(needed / 1024)} KB of ${Math.floor(quota / 1024)} KB)`);
+            error.name = 'QuotaError';
+            throw error;
+        }
+    }
+
+    handleStorageChanged(changes, areaName) {
+        if (areaName !== 'sync' || !this.enabled) return;
+
+        const keys = new Set();
+        Object.keys(changes).forEach(itemKey => {
+            if (!itemKey.startsWith(this.prefix)) return;
+            const key = itemKey.slice(this.prefix.length).split(':')[0];
+            if (this.registrations.has(key)) keys.add(key);
+        });
+
+        // Meta and chunks arrive as separate events; read once they settle
+        keys.forEach(key => {
+            clearTimeout(this.pendingReads.get(key));
+            this.pendingReads.set(key, setTimeout(() => {
+                this.pendingReads.delete(key);
+                this.handleRemoteChange(key).catch(error => this.reportError(key, error));
+            }, this.readDelay));
+        });
+    }
+
+    async handleRemoteChange(key) {
+        const metaKey = this.prefix + key;
+        const { [metaKey]: meta } = await chrome.storage.sync.get(metaKey);
+        if (!meta || this.ownRevisions.has(meta.rev)) return;
+
+        await this.pull(key);
+    }
+
+    merge(registration, base, local, remote) {
+        if (registration.merge === 'list') {
+            return this.mergeLists(base, local, remote, registration.identify || (item => JSON.stringify(item)));
+        }
+        return this.mergeFields(base, local, remote);
+    }
+
+    // Keeps additions from both sides and drops items either side removed since the base.
+    // Remote order wins; local additions go after the item they followed locally.
+    mergeLists(base, local, remote, identify) {
+        const baseItems = new Map((base || []).map(item => [identify(item), item]));
+        const localItems = new Map(local.map(item => [identify(item), item]));
+        const remoteKeys = new Set(remote.map(identify));
+        const result = [];
+
+        remote.forEach(remoteItem => {
+            const id = identify(remoteItem);
+            const localItem = localItems.get(id);
+
+            if (localItem === undefined) {
+                // Deleted here since the last sync, or new from the other device
+                if (!baseItems.has(id)) result.push(remoteItem);
+                return;
+            }
+
+            // Both have it: take whichever side edited it
+            const baseItem = baseItems.get(id);
+            const localChanged = !this.isEqual(localItem, baseItem);
+            const remoteChanged = !this.isEqual(remoteItem, baseItem);
+            result.push(localChanged && !remoteChanged ? localItem : remoteItem);
+        });
+
+        local.forEach((localItem, index) => {
+            const id = identify(localItem);
+            if (remoteKeys.has(id) || baseItems.has(id)) return;
+
+            let position = 0;
+            if (index > 0) {
+                const previousId = identify(local[index - 1]);
+                const previousPosition = result.findIndex(item => identify(item) === previousId);
+                position = previousPosition === -1 ? result.length : previousPosition + 1;
+            }
+            result.splice(position, 0, localItem);
+        });
+
+        return result;
+    }
+
+    // Field by field: a field only this device changed keeps the local value, everything else follows the remote
+    mergeFields(base, local, remote) {
+        const result = { ...remote };
+
+        Object.keys(local).forEach(field => {
+            const localChanged = !this.isEqual(local[field], base?.[field]);
+            const remoteChanged = !this.isEqual(remote[field], base?.[field]);
+            if (localChanged && !remoteChanged) {
+                result[field] = local[field];
+            }
+        });
+
+        return result;
+    }
+
+    async saveBase(key, value) {
+        this.bases[key] = value;
+        try {
+            await chrome.storage.local.set({ syncBases: this.bases });
+        } catch (error) {
+            console.error('Error saving sync state:', error);
+        }
+    }
+
+    notifyChange(key) {
+        this.changeListeners.forEach(listener => {
+            try {
+                listener(key);
+            } catch (error) {
+                console.error('Error in sync change listener:', error);
+            }
+        });
+    }
+
+    reportError(key, error) {
+        console.error(`Error syncing ${key}:`, error);
+
+        // Every later save would hit the same limit; tell the user once until it fits again
+        if (error.name === 'QuotaError') {
+            if (this.keysOverQuota.has(key)) return;
+            this.keysOverQuota.add(key);
+        }
+        this.errorListeners.forEach(listener => listener(error, key));
+    }
+
+    isEqual(a, b) {
+        return JSON.stringify(a) === JSON.stringify(b);
+    }
+
+    destroy() {
+        chrome.storage.onChanged?.removeListener(this.handleStorageChanged);
+        this.pendingWrites.forEach(timer => clearTimeout(timer));
+        this.pendingReads.forEach(timer => clearTimeout(timer));
+        this.pendingWrites.clear();
+        this.pendingReads.clear();
+    }
+}
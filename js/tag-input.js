@@ -0,0 +1,197 @@
+// Tag input module - a text field that turns what is typed into tag chips
+//
+// Enter or a comma adds the typed tag, Backspace in the empty field removes the
+// last one. Suggestions come from the tags already in use.
+export class TagInput {
+    constructor({ field, input, suggestions }, tagManager) {
+        this.elements = { field, input, suggestions };
+        this.tagManager = tagManager;
+        this.values = [];
+        this.suggestions = [];
+        this.activeIndex = -1;
+        this.boundHandlers = {};
+    }
+
+    init() {
+        if (!this.elements.field || !this.elements.input) return;
+
+        this.boundHandlers.handleInput = this.handleInput.bind(this);
+        this.boundHandlers.handleKeydown = this.handleKeydown.bind(this);
+        this.boundHandlers.handleBlur = this.handleBlur.bind(this);
+        this.boundHandlers.handleFieldClick = this.handleFieldClick.bind(this);
+        // mousedown, not click: the input would lose focus (and hide the list) first
+        this.boundHandlers.handleSuggestionMouseDown = this.handleSuggestionMouseDown.bind(this);
+
+        this.elements.input.addEventListener('input', this.boundHandlers.handleInput);
+        this.elements.input.addEventListener('keydown', this.boundHandlers.handleKeydown);
+        this.elements.input.addEventListener('blur', this.boundHandlers.handleBlur);
+        this.elements.field.addEventListener('click', this.boundHandlers.handleFieldClick);
+        this.elements.suggestions?.addEventListener('mousedown', this.boundHandlers.handleSuggestionMouseDown);
+    }
+
+    setTags(tags) {
+        this.values = [...tags];
+        this.elements.input.value = '';
+        this.renderChips();
+        this.hideSuggestions();
+    }
+
+    // Includes whatever is still typed in the field, so it isn't lost on save
+    getTags() {
+        return [...this.values, ...this.tagManager.parse(this.elements.input.value)];
+    }
+
+    addTag(text) {
+        const tag = this.tagManager.normalize(text);
+        if (tag && !this.values.some(value => value.toLowerCase() === tag.toLowerCase())) {
+            this.values.push(tag);
+            this.renderChips();
+        }
+    }
+
+    removeTag(tag) {
+        this.values = this.values.filter(value => value !== tag);
+        this.renderChips();
+    }
+
+    // Chips sit in the field, in front of the text input
+    renderChips() {
+        this.elements.field.querySelectorAll('.tag-chip').forEach(chip => chip.remove());
+
+        this.values.forEach(tag => {
+            const chip = document.createElement('span');
+            chip.className = 'tag-chip';
+            chip.textContent = tag;
+
+            const remove = document.createElement('button');
+            remove.type = 'button';
+            remove.className = 'tag-chip-remove';
+            remove.dataset.tag = tag;
+            remove.title = `Remove ${tag}`;
+            remove.textContent = '×';
+
+            chip.appendChild(remove);
+            this.elements.field.insertBefore(chip, this.elements.input);
+        });
+    }
+
+    handleInput() {
+        const parts = this.elements.input.value.split(',');
+        if (parts.length > 1) {
+            parts.slice(0, -1).forEach(part => this.addTag(part));
+            this.elements.input.value = parts.at(-1).trimStart();
+        }
+        this.updateSuggestions();
+    }
+
+    handleKeydown(e) {
+        const input = this.elements.input;
+        const isOpen = this.suggestions.length > 0;
+
+        if (e.key === 'ArrowDown' && isOpen) {
+            e.preventDefault();
+            this.setActive(this.activeIndex + 1);
+        } else if (e.key === 'ArrowUp' && isOpen) {
+            e.preventDefault();
+            this.setActive(this.activeIndex - 1);
+        } else if (e.key === 'Enter' && (this.activeIndex > -1 || input.value.trim())) {
+            // Only an empty field lets Enter submit the form
+            e.preventDefault();
+            this.addTag(this.activeIndex > -1 ? this.suggestions[this.activeIndex] : input.value);
+            input.value = '';
+            this.hideSuggestions();
+        } else if (e.key === 'Backspace' && !input.value && this.values.length > 0) {
+            this.removeTag(this.values.at(-1));
+        } else if (e.key === 'Escape' && isOpen) {
+            // Close the list, not the dialog
+            e.stopPropagation();
+            this.hideSuggestions();
+        }
+    }
+
+    handleBlur() {
+        if (this.elements.input.value.trim()) {
+            this.addTag(this.elements.input.value);
+            this.elements.input.value = '';
+        }
+        this.hideSuggestions();
+    }
+
+    handleFieldClick(e) {
+        const remove = e.target.closest('.tag-chip-remove');
+        if (remove) {
+            this.removeTag(remove.dataset.tag);
+        }
+        this.elements.input.focus();
+    }
+
+    handleSuggestionMouseDown(e) {
+        const item = e.target.closest('.tag-suggestion');
+        if (!item) return;
+
+        e.preventDefault();
+        this.addTag(item.dataset.tag);
+        this.elements.input.value = '';
+        this.hideSuggestions();
+    }
+
+    updateSuggestions() {
+        const text = this.elements.input.value.trim();
+        this.suggestions = text ? this.tagManager.suggest(text, this.values) : [];
+        this.renderSuggestions();
+    }
+
+    renderSuggestions() {
+        const list = this.elements.suggestions;
+        if (!list) return;
+
+        list.innerHTML = '';
+        this.suggestions.forEach((tag, index) => {
+            const item = document.createElement('li');
+            item.className = 'tag-suggestion';
+            item.id = `tag-suggestion-${index}`;
+            item.dataset.tag = tag;
+            item.setAttribute('role', 'option');
+            item.textContent = tag;
+            list.appendChild(item);
+        });
+
+        list.classList.toggle('hidden', this.suggestions.length === 0);
+        this.elements.input.setAttribute('aria-expanded', String(this.suggestions.length > 0));
+        this.setActive(-1);
+    }
+
+    // -1 leaves the typed text as it is
+    setActive(index) {
+        const items = this.elements.suggestions?.querySelectorAll('.tag-suggestion') || [];
+        this.activeIndex = items.length === 0 ? -1 : Math.max(-1, Math.min(index, items.length - 1));
+
+        items.forEach((item, itemIndex) => {
+            const isActive = itemIndex === this.activeIndex;
+            item.classList.toggle('active', isActive);
+            item.setAttribute('aria-selected', String(isActive));
+        });
+
+        if (this.activeIndex > -1) {
+            this.elements.input.setAttribute('aria-activedescendant', items[this.activeIndex].id);
+        } else {
+            this.elements.input.removeAttribute('aria-activedescendant');
+        }
+    }
+
+    hideSuggestions() {
+        this.suggestions = [];
+        this.activeIndex = -1;
+        this.elements.suggestions?.classList.add('hidden');
+        this.elements.input?.setAttribute('aria-expanded', 'false');
+        this.elements.input?.removeAttribute('aria-activedescendant');
+    }
+
+    destroy() {
+        this.elements.input?.removeEventListener('input', this.boundHandlers.handleInput);
+        this.elements.input?.removeEventListener('keydown', this.boundHandlers.handleKeydown);
+        this.elements.input?.removeEventListener('blur', this.boundHandlers.handleBlur);
+        this.elements.field?.removeEventListener('click', this.boundHandlers.handleFieldClick);
+        this.elements.suggestions?.removeEventListener('mousedown', this.boundHandlers.handleSuggestionMouseDown);
+    }
+}
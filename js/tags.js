@@ -0,0 +1,96 @@
+// Tags module - free-form labels that let a bookmark show up in more than one place
+//
+// Stored in chrome.storage.local under "bookmarkTags" as { [bookmarkId]: ['tag', ...] },
+// apart from chrome.bookmarks. Tags compare case-insensitively; the spelling
+// already in use wins, so "Work" and "work" never become two tags.
+import { RecordStore } from './record-store.js';
+
+export class TagManager {
+    constructor() {
+        this.tags = {};
+        this.store = new RecordStore('bookmarkTags', 'tags');
+        this.maxSuggestions = 8;
+    }
+
+    async load() {
+        this.tags = await this.store.load();
+    }
+
+    save() {
+        return this.store.save(this.tags);
+    }
+
+    // "#Work ", "work" and "WORK" are all the tag "work" (or whichever spelling came first)
+    normalize(tag) {
+        const name = String(tag).replace(/^#+/, '').replace(/\s+/g, ' ').trim();
+        if (!name) return '';
+        return this.getTagNames().find(existing => existing.toLowerCase() === name.toLowerCase()) || name;
+    }
+
+    parse(text) {
+        return text.split(',').map(tag => tag.trim()).filter(Boolean);
+    }
+
+    getTags(bookmarkId) {
+        return this.tags[bookmarkId] || [];
+    }
+
+    setTags(bookmarkId, tags) {
+        const unique = new Map();
+        tags.map(tag => this.normalize(tag))
+            .filter(Boolean)
+            .forEach(tag => {
+                if (!unique.has(tag.toLowerCase())) unique.set(tag.toLowerCase(), tag);
+            });
+
+        if (unique.size > 0) {
+            this.tags[bookmarkId] = [...unique.values()];
+        } else {
+            delete this.tags[bookmarkId];
+        }
+        this.save();
+    }
+
+    // Every tag in use with how many bookmarks carry it, most used first
+    getAllTags() {
+        const counts = new Map();
+        Object.values(this.tags).flat().forEach(tag => {
+            counts.set(tag, (counts.get(tag) || 0) + 1);
+        });
+
+        return [...counts]
+            .map(([name, count]) => ({ name, count }))
+            .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+    }
+
+    getTagNames() {
+        return [...new Set(Object.values(this.tags).flat())];
+    }
+
+    // Bookmarks carrying every one of the given tags; no tags means every tagged bookmark
+    getTaggedIds(tags = []) {
+        const wanted = tags.map(tag => tag.toLowerCase());
+        return Object.keys(this.tags).filter(bookmarkId => {
+            const own = this.tags[bookmarkId].map(tag => tag.toLowerCase());
+            return wanted.every(tag => own.includes(tag));
+        });
+    }
+
+    // Tags starting with the typed text first, then ones containing it
+    suggest(text, exclude = []) {
+        const lowerText = text.replace(/^#+/, '').trim().toLowerCase();
+        const excluded = new Set(exclude.map(tag => tag.toLowerCase()));
+        const candidates = this.getAllTags()
+            .map(tag => tag.name)
+            .filter(name => !excluded.has(name.toLowerCase()));
+
+        const starts = candidates.filter(name => name.toLowerCase().startsWith(lowerText));
+        const contains = candidates.filter(name => !starts.includes(name) && name.toLowerCase().includes(lowerText));
+        return [...starts, ...contains].slice(0, this.maxSuggestions);
+    }
+
+    // Drops the tags of bookmarks that no longer exist, wherever they were deleted
+    prune(bookmarkIds) {
+        return this.store.prune(this.tags, bookmarkIds);
+    }
+}
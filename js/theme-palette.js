@@ -0,0 +1,139 @@
+// Theme palette module - turns the few colors of a custom theme into the full set of CSS variables
+//
+// A custom theme is { id, name, colors: { background, surface, accent, text }, radius }
+// with #rrggbb colors and the card radius in px. The other variables the
+// built-in themes set by hand (hover states, borders, muted text...) are mixed
+// from those four colors. Shared as JSON files in the same shape, plus a
+// "type" and "version" so other files are told apart.
+export class ThemePalette {
+    constructor() {
+        this.fileType = 'visual-bookmarks-theme';
+        this.fileVersion = 1;
+        this.colorNames = ['background', 'surface', 'accent', 'text'];
+        this.defaultRadius = 12;
+        this.maxRadius = 32;
+        this.maxNameLength = 40;
+
+        this.variableNames = [
+            '--bg-primary', '--bg-card', '--bg-card-hover', '--bg-modal', '--bg-input', '--bg-input-focus',
+            '--border-color', '--border-hover', '--text-primary', '--text-secondary', '--text-muted',
+            '--accent-primary', '--accent-hover', '--accent-shadow', '--folder-bg', '--folder-border',
+            '--card-radius'
+        ];
+
+        // What the editor starts from when a built-in theme is selected
+        this.builtInColors = {
+            'dark-modern': { background: '#1a1a1a', surface: '#1a1a1a', accent: '#6366f1', text: '#ffffff' },
+            'midnight-purple': { background: '#2d1b69', surface: '#1e1b4b', accent: '#a855f7', text: '#f9fafb' },
+            'forest-green': { background: '#14532d', surface: '#1f2937', accent: '#10b981', text: '#f9fafb' },
+            'sunset-orange': { background: '#9a3412', surface: '#1f2937', accent: '#f97316', text: '#f9fafb' },
+            'arctic-blue': { background: '#0c4a6e', surface: '#1f2937', accent: '#0ea5e9', text: '#f9fafb' },
+            'minimal-light': { background: '#ffffff', surface: '#ffffff', accent: '#3b82f6', text: '#1e293b' }
+        };
+    }
+
+    getStartingColors(themeId) {
+        return { ...(this.builtInColors[themeId] || this.builtInColors['dark-modern']) };
+    }
+
+    toVariables({ colors, radius = this.defaultRadius }) {
+        const { background, surface, accent, text } = colors;
+        const isLight = this.getLuminance(background) > 0.5;
+
+        return {
+            '--bg-primary': `linear-gradient(135deg, ${background} 0%, ${this.mix(background, isLight ? '#ffffff' : '#000000', 0.35)} 100%)`,
+            '--bg-card': this.alpha(surface, 0.85),
+            '--bg-card-hover': this.mix(surface, text, 0.08),
+            '--bg-modal': surface,
+            '--bg-input': this.mix(surface, text, 0.06),
+            '--bg-input-focus': this.mix(surface, text, 0.12),
+            '--border-color': this.alpha(text, 0.12),
+            '--border-hover': this.alpha(accent, 0.4),
+            '--text-primary': text,
+            '--text-secondary': this.mix(text, background, 0.15),
+            '--text-muted': this.mix(text, background, 0.4),
+            '--accent-primary': accent,
+            '--accent-hover': this.mix(accent, '#000000', 0.15),
+            '--accent-shadow': this.alpha(accent, 0.3),
+            '--folder-bg': this.alpha(accent, 0.1),
+            '--folder-border': this.alpha(accent, 0.25),
+            '--card-radius': `${radius}px`
+        };
+    }
+
+    // The swatch next to the theme's radio button
+    getPreview(theme) {
+        return this.toVariables(theme)['--bg-primary'];
+    }
+
+    toRgb(hex) {
+        const value = parseInt(hex.slice(1), 16);
+        return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+    }
+
+    toHex(rgb) {
+        return '#' + rgb.map(channel => Math.round(channel).toString(16).padStart(2, '0')).join('');
+    }
+
+    // amount 0 keeps the first color, 1 gives the second
+    mix(first, second, amount) {
+        const a = this.toRgb(first);
+        const b = this.toRgb(second);
+        return this.toHex(a.map((channel, index) => channel + (b[index] - channel) * amount));
+    }
+
+    alpha(hex, opacity) {
+        return `rgba(${this.toRgb(hex).join(',')},${opacity})`;
+    }
+
+    getLuminance(hex) {
+        const [r, g, b] = this.toRgb(hex).map(channel => channel / 255);
+        return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+    }
+
+    isColor(value) {
+        return typeof value === 'string' && /^#[0-9a-f]{6}$/i.test(value);
+    }
+
+    toFile(theme) {
+        return JSON.stringify({
+            type: this.fileType,
+            version: this.fileVersion,
+            name: theme.name,
+            colors: theme.colors,
+            radius: theme.radius
+        }, null, 2);
+    }
+
+    // Returns { name, colors, radius } or throws with what is wrong with the file
+    parseFile(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch {
+            throw new Error('The file is not valid JSON');
+        }
+
+        if (data?.type !== this.fileType) {
+            throw new Error('The file is not a Visual Bookmarks theme');
+        }
+        if (typeof data.name !== 'string' || !data.name.trim()) {
+            throw new Error('The theme has no name');
+        }
+
+        const colors = {};
+        this.colorNames.forEach(name => {
+            if (!this.isColor(data.colors?.[name])) {
+                throw new Error(`The theme's ${name} color must look like #1a2b3c`);
+            }
+            colors[name] = data.colors[name].toLowerCase();
+        });
+
+        const radius = data.radius ?? this.defaultRadius;
+        if (typeof radius !== 'number' || radius < 0 || radius > this.maxRadius) {
+            throw new Error(`The card radius must be between 0 and ${this.maxRadius}`);
+        }
+
+        return { name: data.name.trim().slice(0, this.maxNameLength), colors, radius: Math.round(radius) };
+    }
+}
@@ -0,0 +1,194 @@
+// Toast notification module
+export class ToastManager {
+    constructor() {
+        this.container = null;
+        this.announcer = null;
+        this.maxVisible = 4;
+
+        // How long each level stays up, in milliseconds
+        this.durations = {
+            success: 4000,
+            info: 5000,
+            warning: 7000,
+            error: 10000
+        };
+        this.icons = {
+            success: '✓',
+            info: 'ℹ',
+            warning: '⚠',
+            error: '✕'
+        };
+    }
+
+    init() {
+        this.ensureContainer();
+    }
+
+    ensureContainer() {
+        if (this.container?.isConnected) return;
+
+        this.container = document.getElementById('toast-container');
+        if (!this.container) {
+            this.container = document.createElement('div');
+            this.container.id = 'toast-container';
+            this.container.className = 'toast-container';
+            document.body.appendChild(this.container);
+        }
+
+        // Screen readers hear errors immediately and everything else politely
+        this.announcer = {
+            polite: this.createAnnouncer('polite'),
+            assertive: this.createAnnouncer('assertive')
+        };
+    }
+
+    createAnnouncer(politeness) {
+        const region = document.createElement('div');
+        region.className = 'visually-hidden';
+        region.setAttribute('aria-live', politeness);
+        region.setAttribute('role', politeness === 'assertive' ? 'alert' : 'status');
+        this.container.appendChild(region);
+        return region;
+    }
+
+    // options: { duration, actions: [{ label, handler }] }
+    show(message, level = 'info', options = {}) {
+        this.ensureContainer();
+
+        const type = this.durations[level] !== undefined ? level : 'info';
+        const actions = options.actions || (options.action ? [options.action] : []);
+        // A toast with an action (e.g. "Undo") needs time for the user to reach it
+        const defaultDuration = actions.length ? Math.max(this.durations[type], 8000) : this.durations[type];
+        const duration = options.duration ?? defaultDuration;
+
+        const toast = this.createToast(message, type, actions);
+        this.container.appendChild(toast.element);
+        this.announce(message, type);
+        this.trimVisible();
+
+        if (duration > 0) {
+            this.startTimer(toast, duration);
+        }
+
+        return { dismiss: () => this.dismiss(toast) };
+    }
+
+    success(message, options) {
+        return this.show(message, 'success', options);
+    }
+
+    info(message, options) {
+        return this.show(message, 'info', options);
+    }
+
+    warning(message, options) {
+        return this.show(message, 'warning', options);
+    }
+
+    error(message, options) {
+        return this.show(message, 'error', options);
+    }
+
+    createToast(message, type, actions) {
+        const element = document.createElement('div');
+        element.className = `toast toast-${type}`;
+
+        const toast = { element, timer: null, remaining: 0, startedAt: 0 };
+
+        const icon = document.createElement('span');
+        icon.className = 'toast-icon';
+        icon.setAttribute('aria-hidden', 'true');
+        icon.textContent = this.icons[type];
+
+        const text = document.createElement('span');
+        text.className = 'toast-message';
+        text.textContent = message;
+
+        element.appendChild(icon);
+        element.appendChild(text);
+
+        actions.forEach(action => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'toast-action';
+            button.textContent = action.label;
+            button.addEventListener('click', () => {
+                this.dismiss(toast);
+                action.handler();
+            });
+            element.appendChild(button);
+        });
+
+        const closeButton = document.createElement('button');
+        closeButton.type = 'button';
+        closeButton.className = 'toast-close';
+        closeButton.setAttribute('aria-label', 'Dismiss notification');
+        closeButton.textContent = '×';
+        closeButton.addEventListener('click', () => this.dismiss(toast));
+        element.appendChild(closeButton);
+
+        // Pause the countdown while the pointer or focus is on the toast
+        element.addEventListener('mouseenter', () => this.pauseTimer(toast));
+        element.addEventListener('mouseleave', () => this.resumeTimer(toast));
+        element.addEventListener('focusin', () => this.pauseTimer(toast));
+        element.addEventListener('focusout', () => this.resumeTimer(toast));
+
+        element.toast = toast;
+        return toast;
+    }
+
+    startTimer(toast, duration) {
+        toast.remaining = duration;
+        toast.startedAt = Date.now();
+        toast.timer = setTimeout(() => this.dismiss(toast), duration);
+    }
+
+    pauseTimer(toast) {
+        if (!toast.timer) return;
+
+        clearTimeout(toast.timer);
+        toast.timer = null;
+        toast.remaining -= Date.now() - toast.startedAt;
+    }
+
+    resumeTimer(toast) {
+        if (toast.timer || toast.remaining <= 0 || toast.element.contains(document.activeElement)) return;
+        this.startTimer(toast, toast.remaining);
+    }
+
+    dismiss(toast) {
+        clearTimeout(toast.timer);
+        toast.timer = null;
+        toast.remaining = 0;
+
+        if (!toast.element.isConnected) return;
+        toast.element.classList.add('toast-leaving');
+        setTimeout(() => toast.element.remove(), 200);
+    }
+
+    // Oldest toasts make room when too many stack up
+    trimVisible() {
+        const toasts = [...this.container.querySelectorAll('.toast:not(.toast-leaving)')];
+        toasts.slice(0, Math.max(0, toasts.length - this.maxVisible)).forEach(element => {
+            this.dismiss(element.toast);
+        });
+    }
+
+    announce(message, type) {
+        const region = type === 'error' ? this.announcer.assertive : this.announcer.polite;
+        // Clearing first makes repeated identical messages get announced again
+        region.textContent = '';
+        setTimeout(() => {
+            region.textContent = message;
+        }, 50);
+    }
+
+    destroy() {
+        this.container?.querySelectorAll('.toast').forEach(element => {
+            clearTimeout(element.toast?.timer);
+        });
+        this.container?.remove();
+        this.container = null;
+        this.announcer = null;
+    }
+}
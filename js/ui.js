@@ -3,7 +3,11 @@
 import { ClockManager } from './clock-manager.js';
 import { DragDropManager } from './drag-drop-manager.js';
 import { ElementFactory } from './element-factory.js';
+import { KeyboardNavigation } from './keyboard-navigation.js';
 import { ModalManager } from './modal-manager.js';
+import { SelectionManager } from './selection-manager.js';
+import { ToastManager } from './toast-manager.js';
+import { WebSearchManager } from './web-search.js';
 
 export class UIManager {
     constructor() {
@@ -12,12 +16,19 @@ export class UIManager {
         
         // Initialize sub-managers
         this.clock = new ClockManager();
+        this.toasts = new ToastManager();
         this.dragDrop = null;
         this.elementFactory = null;
         this.modals = null;
+        this.selection = null;
+        this.keyboard = null;
+        this.webSearch = null;
         
         // Bind methods for performance
         this.boundHandlers = {};
+        
+        // Rendering thousands of cards at once stalls the page
+        this.maxSearchResults = 200;
     }
 
     init(app) {
@@ -39,15 +50,39 @@ export class UIManager {
             tabs: document.querySelectorAll('.tab'),
             sections: document.querySelectorAll('.section'),
             backBtn: document.getElementById('back-btn'),
+            breadcrumb: document.getElementById('folder-breadcrumb'),
             folderTitle: document.getElementById('folder-title'),
+            searchResultsTitle: document.getElementById('search-results-title'),
+            
+            favoritesNotice: document.getElementById('favorites-notice'),
+            tagList: document.getElementById('tag-list'),
+            
+            // Duplicates
+            mergeAllDuplicatesBtn: document.getElementById('merge-all-duplicates-btn'),
+            duplicatesStatus: document.getElementById('duplicates-status'),
+            
+            // Link health
+            linkHealthScanBtn: document.getElementById('link-health-scan-btn'),
+            linkHealthFilter: document.getElementById('link-health-filter'),
+            linkHealthStatus: document.getElementById('link-health-status'),
+            
+            // Reading list
+            readingFilter: document.getElementById('reading-filter'),
+            readingSort: document.getElementById('reading-sort'),
+            readingUnreadCount: document.getElementById('reading-unread-count'),
             
             // Content grids
             grids: {
                 favorites: document.getElementById('favorites-grid'),
                 all: document.getElementById('all-grid'),
                 folders: document.getElementById('folders-grid'),
+                subfolders: document.getElementById('folder-subfolders-grid'),
                 folderBookmarks: document.getElementById('folder-bookmarks-grid'),
-                reading: document.getElementById('reading-grid')
+                tags: document.getElementById('tags-grid'),
+                reading: document.getElementById('reading-grid'),
+                duplicates: document.getElementById('duplicates-grid'),
+                linkHealth: document.getElementById('link-health-grid'),
+                searchResults: document.getElementById('search-results-grid')
             },
             
             // Buttons
@@ -58,13 +93,20 @@ export class UIManager {
     initializeManagers() {
         // Initialize sub-managers
         this.dragDrop = new DragDropManager(this.app);
-        this.elementFactory = new ElementFactory(this.dragDrop);
+        this.elementFactory = new ElementFactory(this.dragDrop, this.app.favicons, this.app.tags, this.app.notes);
         this.modals = new ModalManager(this.app);
+        this.selection = new SelectionManager(this.app);
+        this.keyboard = new KeyboardNavigation(this.app);
+        this.webSearch = new WebSearchManager(this.app);
         
         // Initialize all managers
+        this.toasts.init();
         this.clock.init();
         this.dragDrop.init();
         this.modals.init();
+        this.selection.init();
+        this.keyboard.init();
+        this.webSearch.init();
     }
 
     setupEventListeners() {
@@ -76,17 +118,19 @@ export class UIManager {
 
     bindHandlers() {
         // Bind frequently used handlers for performance
-        this.boundHandlers.handleGoogleSearch = this.handleGoogleSearch.bind(this);
         this.boundHandlers.handleBookmarkSearch = this.handleBookmarkSearch.bind(this);
         this.boundHandlers.handleGlobalClick = this.handleGlobalClick.bind(this);
         this.boundHandlers.handleKeyboard = this.handleKeyboard.bind(this);
-        this.boundHandlers.switchToFolders = () => this.app.switchView('folders');
+        this.boundHandlers.openParentFolder = () => this.app.openParentFolder();
         this.boundHandlers.showBookmarkModal = () => this.modals.showBookmarkModal();
         this.boundHandlers.showSettingsModal = () => this.modals.showSettingsModal();
+        this.boundHandlers.mergeAllDuplicates = () => this.app.mergeAllDuplicates();
+        this.boundHandlers.handleLinkHealthScan = this.handleLinkHealthScan.bind(this);
+        this.boundHandlers.displayLinkHealth = () => this.displayLinkHealth();
+        this.boundHandlers.handleReadingViewChange = this.handleReadingViewChange.bind(this);
     }
 
     setupSearchListeners() {
-        this.elements.googleSearch?.addEventListener('keypress', this.boundHandlers.handleGoogleSearch);
         this.elements.search?.addEventListener('input', this.boundHandlers.handleBookmarkSearch);
     }
 
@@ -97,9 +141,18 @@ export class UIManager {
         });
         
         // Other navigation
-        this.elements.backBtn?.addEventListener('click', this.boundHandlers.switchToFolders);
+        this.elements.backBtn?.addEventListener('click', this.boundHandlers.openParentFolder);
         this.elements.addBtn?.addEventListener('click', this.boundHandlers.showBookmarkModal);
         this.elements.settingsBtn?.addEventListener('click', this.boundHandlers.showSettingsModal);
+        
+        // Duplicates and link health
+        this.elements.mergeAllDuplicatesBtn?.addEventListener('click', this.boundHandlers.mergeAllDuplicates);
+        this.elements.linkHealthScanBtn?.addEventListener('click', this.boundHandlers.handleLinkHealthScan);
+        this.elements.linkHealthFilter?.addEventListener('change', this.boundHandlers.displayLinkHealth);
+        
+        // Reading list
+        this.elements.readingFilter?.addEventListener('change', this.boundHandlers.handleReadingViewChange);
+        this.elements.readingSort?.addEventListener('change', this.boundHandlers.handleReadingViewChange);
     }
 
     setupGlobalListeners() {
@@ -108,18 +161,25 @@ export class UIManager {
     }
 
     // Event handlers
-    handleGoogleSearch(e) {
-        if (e.key !== 'Enter') return;
-        
-        const query = this.elements.googleSearch.value.trim();
-        if (!query) return;
+    // The scan button doubles as a stop button while a scan runs
+    async handleLinkHealthScan() {
+        if (this.app.linkHealth.isScanning) {
+            this.app.cancelLinkHealthScan();
+            return;
+        }
         
-        const url = query.includes('.') && !query.includes(' ') 
-            ? (query.startsWith('http') ? query : `https://${query}`)
-            : `https://www.google.com/search?q=${encodeURIComponent(query)}`;
+        const button = this.elements.linkHealthScanBtn;
+        button.textContent = 'Stop';
+        this.setLinkHealthStatus('Starting link check...');
         
-        window.open(url, '_blank');
-        this.elements.googleSearch.value = '';
+        try {
+            await this.app.scanLinkHealth((done, total) => {
+                this.setLinkHealthStatus(`Checked ${done} of ${total} links`);
+            });
+        } finally {
+            button.textContent = 'Check links';
+            this.setLinkHealthStatus(this.getLinkHealthSummary());
+        }
     }
 
     handleBookmarkSearch(e) {
@@ -127,6 +187,9 @@ export class UIManager {
     }
 
     async handleGlobalClick(e) {
+        // Ctrl/Shift-clicks and checkbox clicks select cards instead of opening them
+        if (this.selection?.handleClick(e)) return;
+
         // Prevent default for action buttons
         if (e.target.classList.contains('action-btn')) {
             e.preventDefault();
@@ -140,7 +203,9 @@ export class UIManager {
             await this.executeAction(action, e);
         } catch (error) {
             console.error('Error executing action:', error);
-            this.showNotification('An error occurred. Please try again.', 'error');
+            this.showNotification('An error occurred. Please try again.', 'error', {
+                action: { label: 'Retry', handler: () => this.executeAction(action, e) }
+            });
         }
     }
 
@@ -150,7 +215,17 @@ export class UIManager {
             'edit-btn': 'edit',
             'delete-btn': 'delete',
             'reading-btn': 'addToReading',
-            'remove-reading-btn': 'removeFromReading'
+            'remove-reading-btn': 'removeFromReading',
+            'toggle-read-btn': 'toggleRead',
+            'snooze-reading-btn': 'snoozeReading',
+            'wake-reading-btn': 'wakeReading',
+            'save-offline-btn': 'saveOffline',
+            'read-offline-btn': 'readOffline',
+            'health-redirect-btn': 'applyRedirect',
+            'health-recheck-btn': 'recheckLink',
+            'health-delete-btn': 'deleteBrokenLink',
+            'keep-duplicate-btn': 'keepDuplicate',
+            'clean-orphans-btn': 'cleanOrphanedFavorites'
         };
 
         // Check direct button classes
@@ -158,8 +233,14 @@ export class UIManager {
             if (target.classList.contains(className)) return action;
         }
 
+        // Links inside notes open on their own
+        if (target.closest('.note-preview a')) return null;
+
         // Check parent elements
-        if (target.closest('#create-folder-card')) return 'createFolder';
+        if (target.closest('.tag-chip')) return 'showTag';
+        if (target.closest('.tag-filter')) return 'toggleTagFilter';
+        if (target.closest('.breadcrumb-item')) return 'openBreadcrumb';
+        if (target.closest('.create-folder-card')) return 'createFolder';
         if (target.closest('.folder-card')) return 'openFolder';
         if (target.closest('.bookmark-card') && !target.classList.contains('action-btn')) return 'openBookmark';
         if (target.closest('.reading-item') && !target.classList.contains('action-btn')) return 'openReading';
@@ -176,8 +257,21 @@ export class UIManager {
             'delete': () => this.handleDeleteAction(target),
             'addToReading': () => this.handleAddToReadingAction(target),
             'removeFromReading': () => this.handleRemoveFromReadingAction(target),
+            'toggleRead': () => this.handleToggleReadAction(target),
+            'snoozeReading': () => this.handleSnoozeReadingAction(target),
+            'wakeReading': () => this.handleReadingItemAction(target, url => this.app.wakeReadingItem(url)),
+            'saveOffline': () => this.handleReadingItemAction(target, url => this.app.saveOffline(url)),
+            'readOffline': () => this.handleReadingItemAction(target, url => this.app.openOfflineCopy(url)),
+            'applyRedirect': () => this.handleLinkHealthAction(target, id => this.app.applyRedirect(id)),
+            'recheckLink': () => this.handleLinkHealthAction(target, id => this.app.recheckLink(id)),
+            'deleteBrokenLink': () => this.handleLinkHealthAction(target, id => this.app.deleteBookmark(id)),
+            'keepDuplicate': () => this.handleKeepDuplicateAction(target),
+            'cleanOrphanedFavorites': () => this.app.cleanOrphanedFavorites(),
+            'showTag': () => this.handleShowTagAction(e),
+            'toggleTagFilter': () => this.app.toggleTagFilter(target.closest('.tag-filter').dataset.tag),
             'createFolder': () => this.modals.showFolderModal(),
             'openFolder': () => this.handleOpenFolderAction(target),
+            'openBreadcrumb': () => this.handleOpenBreadcrumbAction(target),
             'openBookmark': () => this.handleOpenBookmarkAction(target),
             'openReading': () => this.handleOpenReadingAction(target)
         };
@@ -193,6 +287,12 @@ export class UIManager {
         }
     }
 
+    handleShowTagAction(e) {
+        // The chip sits inside the bookmark's link
+        e.preventDefault();
+        this.app.showTag(e.target.closest('.tag-chip').dataset.tag);
+    }
+
     handleEditAction(target) {
         const card = target.closest('.bookmark-card');
         if (card?.dataset.id) {
@@ -202,8 +302,7 @@ export class UIManager {
     }
 
     async handleDeleteAction(target) {
-        if (!confirm('Are you sure you want to delete this bookmark?')) return;
-        
+        // No confirmation prompt - the deletion can be undone from the message or with Ctrl+Z
         const card = target.closest('.bookmark-card');
         if (card?.dataset.id) {
             await this.app.deleteBookmark(card.dataset.id);
@@ -225,29 +324,93 @@ export class UIManager {
         }
     }
 
+    async handleToggleReadAction(target) {
+        const item = target.closest('.reading-item');
+        if (item?.dataset.id) {
+            await this.app.toggleReadingItemRead(item.dataset.id);
+        }
+    }
+
+    handleSnoozeReadingAction(target) {
+        const item = target.closest('.reading-item');
+        const readingItem = this.app.readingList.items.find(entry => entry.url === item?.dataset.id);
+        if (readingItem) this.modals.showSnoozeModal(readingItem);
+    }
+
+    async handleReadingItemAction(target, handler) {
+        const item = target.closest('.reading-item');
+        if (item?.dataset.id) {
+            await handler(item.dataset.id);
+        }
+    }
+
+    async handleLinkHealthAction(target, handler) {
+        const item = target.closest('.link-health-item');
+        if (item?.dataset.id) {
+            await handler(item.dataset.id);
+        }
+    }
+
+    async handleKeepDuplicateAction(target) {
+        const item = target.closest('.duplicate-item');
+        const group = target.closest('.duplicate-group');
+        if (!item?.dataset.id || !group) return;
+        
+        const removeIds = [...group.querySelectorAll('.duplicate-item')]
+            .map(element => element.dataset.id)
+            .filter(id => id !== item.dataset.id);
+        await this.app.mergeDuplicates([{ keepId: item.dataset.id, removeIds }]);
+    }
+
     handleOpenFolderAction(target) {
         const card = target.closest('.folder-card');
-        if (card?.dataset.folderId && !target.closest('#create-folder-card')) {
+        if (card?.dataset.folderId && !target.closest('.create-folder-card')) {
             this.app.switchView('folder-view', card.dataset.folderId);
         }
     }
 
+    handleOpenBreadcrumbAction(target) {
+        const item = target.closest('.breadcrumb-item');
+        if (item?.dataset.folderId) {
+            this.app.switchView('folder-view', item.dataset.folderId);
+        } else if (item) {
+            this.app.switchView('folders');
+        }
+    }
+
     handleOpenBookmarkAction(target) {
         const card = target.closest('.bookmark-card');
         if (card?.href) window.open(card.href, '_blank');
     }
 
-    handleOpenReadingAction(target) {
+    async handleOpenReadingAction(target) {
         const item = target.closest('.reading-item');
-        if (item?.href) window.open(item.href, '_blank');
+        if (!item?.href) return;
+        
+        // Without a connection the saved copy is the only way to read it
+        if (!navigator.onLine && this.app.getOfflineState(item.dataset.id) === 'saved') {
+            this.app.openOfflineCopy(item.dataset.id);
+        } else {
+            window.open(item.href, '_blank');
+        }
+        await this.app.setReadingItemRead(item.dataset.id);
     }
 
     handleKeyboard(e) {
+        // Arrow keys and single-key actions on a focused card, and "?"
+        if (this.keyboard?.handleKeydown(e)) return;
+
         const keyHandlers = {
             'k': () => this.focusSearch(e),
             'b': () => this.showAddBookmark(e),
             'Escape': () => this.handleEscape(),
-            '/': () => this.focusGoogleSearch(e)
+            '/': () => this.focusGoogleSearch(e),
+            'z': () => this.handleUndoShortcut(e),
+            'Z': () => this.handleUndoShortcut(e),
+            'y': () => this.handleRedoShortcut(e),
+            'a': () => this.handleSelectAll(e),
+            'p': () => this.handleCommandPalette(e),
+            'P': () => this.handleCommandPalette(e)
         };
 
         const handler = keyHandlers[e.key];
@@ -269,14 +432,59 @@ export class UIManager {
         }
     }
 
+    // Ctrl+Z undoes, Ctrl+Shift+Z (or Ctrl+Y) redoes; text fields keep their native undo
+    handleUndoShortcut(e) {
+        if (!(e.ctrlKey || e.metaKey) || this.isTextInput(e.target)) return;
+        
+        e.preventDefault();
+        if (e.shiftKey) {
+            this.app.redo();
+        } else {
+            this.app.undo();
+        }
+    }
+
+    handleRedoShortcut(e) {
+        if (!(e.ctrlKey || e.metaKey) || this.isTextInput(e.target)) return;
+        
+        e.preventDefault();
+        this.app.redo();
+    }
+
+    // Ctrl+A selects every bookmark card in the visible section
+    handleSelectAll(e) {
+        if (!(e.ctrlKey || e.metaKey) || this.isTextInput(e.target)) return;
+        
+        e.preventDefault();
+        this.selection.selectAll(document.querySelector('.section.active'));
+    }
+
+    // Ctrl+Shift+P opens the command palette, even from a text field
+    handleCommandPalette(e) {
+        if (!(e.ctrlKey || e.metaKey) || !e.shiftKey) return;
+        
+        e.preventDefault();
+        this.app.commands.toggle();
+    }
+
+    isTextInput(element) {
+        return ['INPUT', 'TEXTAREA', 'SELECT'].includes(element?.tagName) || element?.isContentEditable;
+    }
+
     handleEscape() {
         // Check if any modal is open first
-        if (!this.modals.modals.bookmark.element.classList.contains('hidden')) {
+        if (!this.modals.modals.shortcuts.element.classList.contains('hidden')) {
+            this.modals.hide('shortcuts');
+        } else if (!this.modals.modals.bookmark.element.classList.contains('hidden')) {
             this.modals.hide('bookmark');
         } else if (!this.modals.modals.folder.element.classList.contains('hidden')) {
             this.modals.hide('folder');
         } else if (!this.modals.modals.settings.element.classList.contains('hidden')) {
             this.modals.hide('settings');
+        } else if (!this.modals.modals.snooze.element.classList.contains('hidden')) {
+            this.modals.hide('snooze');
+        } else if (this.selection?.hasSelection()) {
+            this.selection.clear();
         } else if (this.elements.search?.value) {
             this.elements.search.value = '';
             this.app.search('');
@@ -294,11 +502,6 @@ export class UIManager {
     switchTab(view, folder = null) {
         this.updateActiveTab(view);
         this.showSection(view === 'folder-view' ? 'folder-view' : view);
-        
-        if (folder && this.elements.folderTitle) {
-            this.elements.folderTitle.textContent = folder.title;
-        }
-        
         this.updateDisplay(view, folder);
     }
 
@@ -320,27 +523,99 @@ export class UIManager {
             'favorites': () => this.displayFavorites(query),
             'all': () => this.displayAllBookmarks(query),
             'folders': () => this.displayFolders(query),
-            'folder-view': () => folder && this.displayFolderBookmarks(folder.id, query),
-            'reading': () => this.displayReadingList(query)
+            'folder-view': () => folder && this.displayFolderView(folder, query),
+            'tags': () => this.displayTags(query),
+            'reading': () => this.displayReadingList(query),
+            'duplicates': () => this.displayDuplicates(),
+            'link-health': () => this.displayLinkHealth(query)
         };
 
         const method = displayMethods[view];
         if (method) method();
+        this.updateUnreadCount();
+        this.keyboard?.sync();
+    }
+
+    updateUnreadCount() {
+        const badge = this.elements.readingUnreadCount;
+        if (!badge) return;
+        
+        const count = this.app.getUnreadCount();
+        badge.textContent = count > 99 ? '99+' : String(count);
+        badge.title = `${count} unread`;
+        badge.classList.toggle('hidden', count === 0);
     }
 
     displayFavorites(query = '') {
         const favorites = this.app.getFavorites(query);
+        this.renderFavoritesNotice();
         this.renderBookmarksGrid('favorites', favorites, query, 'No favorites yet! Star some bookmarks to see them here.');
     }
 
+    // Favorites whose bookmark was deleted outside this page and had no same-URL replacement
+    renderFavoritesNotice() {
+        const notice = this.elements.favoritesNotice;
+        if (!notice) return;
+        
+        const orphans = this.app.getOrphanedFavorites();
+        notice.innerHTML = '';
+        notice.classList.toggle('hidden', orphans.length === 0);
+        if (orphans.length === 0) return;
+        
+        const names = orphans.slice(0, 3).map(favorite => `"${favorite.title || favorite.url || 'Untitled'}"`).join(', ');
+        const more = orphans.length > 3 ? ` and ${orphans.length - 3} more` : '';
+        const text = orphans.length === 1 ?
+            `A favorite no longer exists in your bookmarks: ${names}.` :
+            `${orphans.length} favorites no longer exist in your bookmarks: ${names}${more}.`;
+        
+        const button = this.elementFactory.createTextElement('button', 'btn btn-secondary clean-orphans-btn', 'Remove from favorites');
+        button.type = 'button';
+        
+        notice.appendChild(this.elementFactory.createTextElement('span', 'notice-text', text));
+        notice.appendChild(button);
+    }
+
     displayAllBookmarks(query = '') {
         const bookmarks = this.app.getAllBookmarks(query);
         this.renderBookmarksGrid('all', bookmarks, query, 'No bookmarks found. Add some bookmarks to get started!');
     }
 
     displayFolders(query = '') {
-        const folders = this.app.getFolders(query);
-        const grid = this.elements.grids.folders;
+        // Browse from the top level; a query searches folders at every depth
+        const folders = query ? this.app.getFolders(query) : this.app.getSubfolders();
+        this.renderFoldersGrid('folders', folders, query);
+    }
+
+    displayFolderView(folder, query = '') {
+        this.renderFolderHeader(folder);
+        
+        const subfolders = this.app.getSubfolders(folder.id, query);
+        this.renderFoldersGrid('subfolders', subfolders, query);
+        
+        const emptyMessage = subfolders.length > 0 ?
+            'No bookmarks directly in this folder.' :
+            'This folder is empty. Add some bookmarks to it!';
+        this.displayFolderBookmarks(folder.id, query, emptyMessage);
+    }
+
+    renderFolderHeader(folder) {
+        const path = this.app.getFolderPath(folder.id);
+        const parent = this.app.getParentFolder(folder.id);
+        
+        if (this.elements.folderTitle) {
+            this.elements.folderTitle.textContent = folder.title;
+        }
+        if (this.elements.backBtn) {
+            this.elements.backBtn.textContent = `← Back to ${parent ? parent.title : 'Folders'}`;
+        }
+        if (this.elements.breadcrumb) {
+            this.elements.breadcrumb.innerHTML = '';
+            this.elements.breadcrumb.appendChild(this.elementFactory.createBreadcrumb(path));
+        }
+    }
+
+    renderFoldersGrid(gridName, folders, query) {
+        const grid = this.elements.grids[gridName];
         
         if (!grid) return;
         
@@ -351,14 +626,33 @@ export class UIManager {
             grid.appendChild(this.elementFactory.createEmptyState(`No folders matching "${query}"`));
         } else {
             folders.forEach(folder => {
-                grid.appendChild(this.elementFactory.createFolderCard(folder));
+                const subfolderCount = this.app.getSubfolders(folder.id).length;
+                grid.appendChild(this.elementFactory.createFolderCard(folder, subfolderCount));
             });
         }
     }
 
-    displayFolderBookmarks(folderId, query = '') {
+    displayFolderBookmarks(folderId, query = '', emptyMessage = 'This folder is empty. Add some bookmarks to it!') {
         const bookmarks = this.app.getFolderBookmarks(folderId, query);
-        this.renderBookmarksGrid('folderBookmarks', bookmarks, query, 'This folder is empty. Add some bookmarks to it!');
+        this.renderBookmarksGrid('folderBookmarks', bookmarks, query, emptyMessage);
+    }
+
+    // Tag list with counts above the bookmarks carrying every selected tag
+    displayTags(query = '') {
+        const tags = this.app.getAllTags();
+        const selected = this.app.getSelectedTags();
+        
+        if (this.elements.tagList) {
+            this.elements.tagList.innerHTML = '';
+            tags.forEach(tag => {
+                this.elements.tagList.appendChild(this.elementFactory.createTagFilter(tag, selected.includes(tag.name)));
+            });
+        }
+        
+        const emptyMessage = tags.length === 0 ?
+            'No tags yet. Edit a bookmark to give it some tags.' :
+            'No bookmarks have all of the selected tags.';
+        this.renderBookmarksGrid('tags', this.app.getTaggedBookmarks(selected, query), query, emptyMessage);
     }
 
     displayReadingList(query = '') {
@@ -367,20 +661,179 @@ export class UIManager {
         
         if (!grid) return;
         
+        const { readingFilter, readingSort } = this.app.getCurrentSettings();
+        if (this.elements.readingFilter) this.elements.readingFilter.value = readingFilter;
+        if (this.elements.readingSort) this.elements.readingSort.value = readingSort;
+        
         grid.innerHTML = '';
         
         if (items.length === 0) {
-            const message = query ? 
-                `No reading list items matching "${query}"` : 
-                'Your reading list is empty. Click the 📖 button on bookmarks to add them!';
+            // The list itself may not be empty, just everything the filter hides
+            const filteredMessages = {
+                unread: 'Nothing left to read. Switch to "All" to see what you have read.',
+                read: 'Nothing read yet. Items are marked read when you open them.',
+                snoozed: 'Nothing snoozed. Use ⏰ on an item to put it away until later.'
+            };
+            let message = 'Your reading list is empty. Click the 📖 button on bookmarks to add them!';
+            if (query) {
+                message = `No reading list items matching "${query}"`;
+            } else if (this.app.readingList.items.length > 0 && filteredMessages[readingFilter]) {
+                message = filteredMessages[readingFilter];
+            }
             grid.appendChild(this.elementFactory.createEmptyState(message));
         } else {
+            const highlightTerms = this.elementFactory.getHighlightTerms(query);
             items.forEach(item => {
-                grid.appendChild(this.elementFactory.createReadingListItem(item));
+                grid.appendChild(this.elementFactory.createReadingListItem(item, highlightTerms, this.getReadingItemDetails(item.url)));
             });
         }
     }
 
+    getReadingItemDetails(url) {
+        return {
+            note: this.app.getNoteForUrl(url),
+            snooze: this.app.getReadingItemSnooze(url),
+            offline: this.app.getOfflineState(url)
+        };
+    }
+
+    handleReadingViewChange() {
+        this.app.setReadingListView({
+            readingFilter: this.elements.readingFilter?.value || 'unread',
+            readingSort: this.elements.readingSort?.value || 'newest'
+        });
+    }
+
+    displayDuplicates() {
+        const grid = this.elements.grids.duplicates;
+        if (!grid) return;
+        
+        const groups = this.app.getDuplicateGroups();
+        const extraCopies = groups.reduce((count, group) => count + group.bookmarks.length - 1, 0);
+        
+        grid.innerHTML = '';
+        if (this.elements.duplicatesStatus) {
+            this.elements.duplicatesStatus.textContent = groups.length ?
+                `${groups.length} ${groups.length === 1 ? 'page is' : 'pages are'} bookmarked more than once (${extraCopies} extra ${extraCopies === 1 ? 'copy' : 'copies'})` :
+                '';
+        }
+        if (this.elements.mergeAllDuplicatesBtn) {
+            this.elements.mergeAllDuplicatesBtn.disabled = groups.length === 0;
+        }
+        
+        if (groups.length === 0) {
+            grid.appendChild(this.elementFactory.createEmptyState('No duplicate bookmarks. Every page is saved only once.'));
+            return;
+        }
+        
+        groups.forEach(group => {
+            const entries = group.bookmarks.map(bookmark => ({
+                bookmark,
+                path: this.app.getFolderPathLabel(bookmark.parentId),
+                isFavorite: this.app.bookmarks.isFavorite(bookmark.id)
+            }));
+            grid.appendChild(this.elementFactory.createDuplicateGroup(group.key, entries));
+        });
+    }
+
+    displayLinkHealth(query = '') {
+        const grid = this.elements.grids.linkHealth;
+        if (!grid) return;
+        
+        const filter = this.elements.linkHealthFilter?.value || 'problems';
+        const problems = this.app.getLinkHealthProblems(filter, query);
+        
+        grid.innerHTML = '';
+        if (!this.app.linkHealth.isScanning) {
+            this.setLinkHealthStatus(this.getLinkHealthSummary());
+        }
+        
+        if (problems.length === 0) {
+            const message = this.app.linkHealth.getLastScanTime() ?
+                'No broken or redirected links found.' :
+                'Links have not been checked yet. Click "Check links" to scan your bookmarks.';
+            grid.appendChild(this.elementFactory.createEmptyState(message));
+            return;
+        }
+        
+        problems.forEach(({ bookmark, result }) => {
+            grid.appendChild(this.elementFactory.createLinkHealthItem(bookmark, result));
+        });
+    }
+
+    getLinkHealthSummary() {
+        const lastScan = this.app.linkHealth.getLastScanTime();
+        if (!lastScan) return '';
+        
+        const count = this.app.getLinkHealthProblems('problems').length;
+        return `${count} ${count === 1 ? 'problem' : 'problems'} · last checked ${this.elementFactory.formatTimeAgo(lastScan)}`;
+    }
+
+    setLinkHealthStatus(text) {
+        if (this.elements.linkHealthStatus) {
+            this.elements.linkHealthStatus.textContent = text;
+        }
+    }
+
+    // Global search results mode - one merged list across every tab
+    showSearchResults(query) {
+        this.updateActiveTab('search-results');
+        this.showSection('search-results');
+        this.displaySearchResults(query);
+        this.updateUnreadCount();
+    }
+
+    displaySearchResults(query) {
+        const grid = this.elements.grids.searchResults;
+        if (!grid) return;
+        
+        const results = this.app.getSearchResults(query);
+        const shown = results.slice(0, this.maxSearchResults);
+        
+        if (this.elements.searchResultsTitle) {
+            this.elements.searchResultsTitle.textContent = results.length > shown.length ?
+                `Top ${shown.length} of ${results.length} results for "${query}"` :
+                `${results.length} ${results.length === 1 ? 'result' : 'results'} for "${query}"`;
+        }
+        
+        grid.innerHTML = '';
+        
+        if (shown.length === 0) {
+            grid.appendChild(this.elementFactory.createEmptyState(`Nothing matching "${query}" in bookmarks, folders or the reading list`));
+            return;
+        }
+        
+        const highlightTerms = this.elementFactory.getHighlightTerms(query);
+        shown.forEach(result => {
+            grid.appendChild(this.createSearchResultElement(result, highlightTerms));
+        });
+        this.selection?.sync();
+        this.keyboard?.sync();
+    }
+
+    createSearchResultElement(result, highlightTerms) {
+        let element;
+        
+        if (result.type === 'folder') {
+            const subfolderCount = this.app.getSubfolders(result.item.id).length;
+            element = this.elementFactory.createFolderCard(result.item, subfolderCount);
+        } else if (result.type === 'reading') {
+            element = this.elementFactory.createReadingListItem(result.item, highlightTerms, this.getReadingItemDetails(result.item.url));
+        } else {
+            const isFavorite = this.app.bookmarks?.isFavorite(result.item.id) || false;
+            element = this.elementFactory.createBookmarkCard(result.item, isFavorite, highlightTerms);
+        }
+        
+        element.appendChild(this.elementFactory.createSourceBadge(result.source));
+        return element;
+    }
+
+    clearSearchInput() {
+        if (this.elements.search) {
+            this.elements.search.value = '';
+        }
+    }
+
     renderBookmarksGrid(gridName, bookmarks, query, emptyMessage) {
         const grid = this.elements.grids[gridName];
         if (!grid) return;
@@ -393,32 +846,54 @@ export class UIManager {
                 emptyMessage;
             grid.appendChild(this.elementFactory.createEmptyState(message));
         } else {
+            const highlightTerms = this.elementFactory.getHighlightTerms(query);
             bookmarks.forEach(bookmark => {
                 const isFavorite = this.app.bookmarks?.isFavorite(bookmark.id) || false;
-                const card = this.elementFactory.createBookmarkCard(bookmark, isFavorite);
+                const card = this.elementFactory.createBookmarkCard(bookmark, isFavorite, highlightTerms);
                 grid.appendChild(card);
             });
         }
+        this.selection?.sync();
     }
 
     // Utility methods
-    showNotification(message, type = 'info') {
-        // Simple alert for now - could be enhanced with toast notifications
-        console.log(`${type.toUpperCase()}: ${message}`);
-        if (type === 'error') alert(message);
+    downloadFile(filename, content, mimeType) {
+        const blob = new Blob([content], { type: mimeType });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    // type: 'success' | 'info' | 'warning' | 'error'; options: { action | actions, duration }
+    showNotification(message, type = 'info', options = {}) {
+        return this.toasts.show(message, type, options);
     }
 
     // Cleanup
     destroy() {
         // Remove event listeners
-        this.elements.googleSearch?.removeEventListener('keypress', this.boundHandlers.handleGoogleSearch);
         this.elements.search?.removeEventListener('input', this.boundHandlers.handleBookmarkSearch);
         document.removeEventListener('click', this.boundHandlers.handleGlobalClick);
         document.removeEventListener('keydown', this.boundHandlers.handleKeyboard);
+        this.elements.mergeAllDuplicatesBtn?.removeEventListener('click', this.boundHandlers.mergeAllDuplicates);
+        this.elements.linkHealthScanBtn?.removeEventListener('click', this.boundHandlers.handleLinkHealthScan);
+        this.elements.linkHealthFilter?.removeEventListener('change', this.boundHandlers.displayLinkHealth);
+        this.elements.readingFilter?.removeEventListener('change', this.boundHandlers.handleReadingViewChange);
+        this.elements.readingSort?.removeEventListener('change', this.boundHandlers.handleReadingViewChange);
         
         // Destroy sub-managers
         this.clock?.destroy();
+        this.toasts?.destroy();
         this.dragDrop?.destroy();
         this.modals?.destroy();
+        this.selection?.destroy();
+        this.webSearch?.destroy();
     }
 }
\ No newline at end of file
@@ -0,0 +1,55 @@
+// URL normalization for spotting the same page saved under different URLs
+//
+// http/https, "www.", default ports, a trailing slash, the fragment and
+// tracking parameters don't change which page a URL points at, so they are
+// dropped. Hash routes ("#/inbox", "#!/post") do, and are kept.
+export class UrlNormalizer {
+    constructor() {
+        this.trackingPrefixes = ['utm_'];
+        this.trackingParams = new Set([
+            'fbclid', 'gclid', 'gclsrc', 'dclid', 'msclkid', 'yclid', 'twclid', 'igshid',
+            'mc_cid', 'mc_eid', '_ga', '_gl', '_hsenc', '_hsmi', 'ref_src', 'spm'
+        ]);
+    }
+
+    normalize(url) {
+        const trimmed = (url || '').trim();
+        let parsed;
+
+        try {
+            parsed = new URL(trimmed);
+        } catch {
+            return trimmed.toLowerCase();
+        }
+
+        // Only web pages get the full treatment; chrome://, file:, javascript: etc. stay as they are
+        if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+            return parsed.href;
+        }
+
+        const host = parsed.hostname.replace(/^www\./, '');
+        const port = parsed.port ? `:${parsed.port}` : '';
+        const path = parsed.pathname.replace(/\/+$/, '');
+        const search = this.normalizeSearch(parsed.searchParams);
+        const hash = /^#[!/]/.test(parsed.hash) ? parsed.hash : '';
+
+        return `${host}${port}${path}${search}${hash}`;
+    }
+
+    normalizeSearch(searchParams) {
+        const params = [...searchParams]
+            .filter(([key]) => !this.isTrackingParam(key))
+            .sort(([a], [b]) => a.localeCompare(b));
+
+        return params.length ? `?${new URLSearchParams(params)}` : '';
+    }
+
+    isTrackingParam(key) {
+        const lowerKey = key.toLowerCase();
+        return this.trackingParams.has(lowerKey) || this.trackingPrefixes.some(prefix => lowerKey.startsWith(prefix));
+    }
+
+    isSamePage(a, b) {
+        return this.normalize(a) === this.normalize(b);
+    }
+}
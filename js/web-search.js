@@ -0,0 +1,321 @@
+// Web search box module - search engines, !bang shortcuts and bookmark suggestions
+//
+// An engine is { id, name, keyword, url } where url is a template with %s for
+// the query. "!gh query" (or "query !gh") searches with the engine whose
+// keyword is "gh"; a bang on its own opens the engine's site. Custom engines
+// live in settings next to the default engine's id.
+export class WebSearchManager {
+    constructor(app) {
+        this.app = app;
+        this.elements = {};
+        this.boundHandlers = {};
+
+        this.builtInEngines = [
+            { id: 'google', name: 'Google', keyword: 'g', url: 'https://www.google.com/search?q=%s' },
+            { id: 'duckduckgo', name: 'DuckDuckGo', keyword: 'ddg', url: 'https://duckduckgo.com/?q=%s' },
+            { id: 'bing', name: 'Bing', keyword: 'b', url: 'https://www.bing.com/search?q=%s' },
+            { id: 'github', name: 'GitHub', keyword: 'gh', url: 'https://github.com/search?q=%s' },
+            { id: 'mdn', name: 'MDN', keyword: 'mdn', url: 'https://developer.mozilla.org/en-US/search?q=%s' },
+            { id: 'wikipedia', name: 'Wikipedia', keyword: 'w', url: 'https://en.wikipedia.org/wiki/Special:Search?search=%s' },
+            { id: 'youtube', name: 'YouTube', keyword: 'yt', url: 'https://www.youtube.com/results?search_query=%s' }
+        ];
+
+        this.suggestions = [];
+        this.activeIndex = 0;
+        this.maxSuggestions = 5;
+        this.minSuggestLength = 2;
+    }
+
+    init() {
+        this.cacheElements();
+        this.bindHandlers();
+        this.setupEventListeners();
+        this.updatePlaceholder();
+    }
+
+    cacheElements() {
+        this.elements = {
+            input: document.getElementById('google-search'),
+            suggestions: document.getElementById('web-search-suggestions')
+        };
+    }
+
+    bindHandlers() {
+        this.boundHandlers.handleInput = () => this.updateSuggestions();
+        this.boundHandlers.handleKeydown = this.handleKeydown.bind(this);
+        this.boundHandlers.handleBlur = () => this.hideSuggestions();
+        // mousedown, not click: the input would lose focus (and hide the list) first
+        this.boundHandlers.handleSuggestionMouseDown = this.handleSuggestionMouseDown.bind(this);
+    }
+
+    setupEventListeners() {
+        this.elements.input?.addEventListener('input', this.boundHandlers.handleInput);
+        this.elements.input?.addEventListener('keydown', this.boundHandlers.handleKeydown);
+        this.elements.input?.addEventListener('blur', this.boundHandlers.handleBlur);
+        this.elements.suggestions?.addEventListener('mousedown', this.boundHandlers.handleSuggestionMouseDown);
+    }
+
+    // Custom engines come first so they can take over a built-in keyword
+    getEngines() {
+        const custom = this.app.getCurrentSettings().searchEngines || [];
+        return [...custom, ...this.builtInEngines];
+    }
+
+    getDefaultEngine() {
+        const id = this.app.getCurrentSettings().searchEngine;
+        return this.getEngines().find(engine => engine.id === id) || this.builtInEngines[0];
+    }
+
+    findByKeyword(keyword) {
+        const lowerKeyword = keyword.toLowerCase();
+        return this.getEngines().find(engine => engine.keyword.toLowerCase() === lowerKeyword) || null;
+    }
+
+    // Returns { type: 'url' | 'search', url, engine?, query? }, or null for blank input
+    resolve(input) {
+        const text = input.trim();
+        if (!text) return null;
+
+        const bang = this.parseBang(text);
+        if (bang) {
+            return {
+                type: 'search',
+                engine: bang.engine,
+                query: bang.query,
+                url: bang.query ? this.buildUrl(bang.engine, bang.query) : this.getEngineHome(bang.engine)
+            };
+        }
+
+        const url = this.toUrl(text);
+        if (url) return { type: 'url', url };
+
+        const engine = this.getDefaultEngine();
+        return { type: 'search', engine, query: text, url: this.buildUrl(engine, text) };
+    }
+
+    // "!gh query" or "query !gh"; unknown keywords are searched as plain text
+    parseBang(text) {
+        const match = text.match(/^!(\S+)(?:\s+(.*))?$/) || text.match(/^(?:(.*)\s+)?!(\S+)$/);
+        if (!match) return null;
+
+        const [keyword, query] = text.startsWith('!') ? [match[1], match[2]] : [match[2], match[1]];
+        const engine = this.findByKeyword(keyword);
+        return engine ? { engine, query: (query || '').trim() } : null;
+    }
+
+    // Full URLs, and things that look like one: example.com/path, localhost:3000, 10.0.0.1
+    toUrl(text) {
+        if (/\s/.test(text)) return null;
+
+        if (/^[a-z][a-z\d+.-]*:\/\//i.test(text) || /^(about|chrome|mailto|data):/i.test(text)) {
+            try {
+                return new URL(text).href;
+            } catch {
+                return null;
+            }
+        }
+
+        const hostPattern = /^(localhost|\d{1,3}(\.\d{1,3}){3}|([a-z\d-]+\.)+[a-z]{2,})(:\d+)?([/?#]\S*)?$/i;
+        if (!hostPattern.test(text)) return null;
+
+        const isLocal = /^(localhost|\d{1,3}(\.\d{1,3}){3})/i.test(text);
+        try {
+            return new URL(`${isLocal ? 'http' : 'https'}://${text}`).href;
+        } catch {
+            return null;
+        }
+    }
+
+    buildUrl(engine, query) {
+        return engine.url.split('%s').join(encodeURIComponent(query));
+    }
+
+    getEngineHome(engine) {
+        try {
+            return new URL(engine.url.split('%s').join('')).origin;
+        } catch {
+            return engine.url;
+        }
+    }
+
+    // Returns an error message, or null when the engine can be saved.
+    // Custom keywords may shadow built-in ones, but not each other.
+    validateEngine(engine, customEngines = this.app.getCurrentSettings().searchEngines || []) {
+        if (!engine.name?.trim()) return 'Give the search engine a name';
+        if (!/^[\w-]+$/.test(engine.keyword || '')) return 'Keywords can only use letters, digits, "-" and "_"';
+        if (!engine.url?.includes('%s')) return 'The URL needs a %s where the search terms go';
+
+        try {
+            const url = new URL(engine.url.split('%s').join('test'));
+            if (url.protocol !== 'http:' && url.protocol !== 'https:') return 'The URL must start with http:// or https://';
+        } catch {
+            return 'That URL isn\'t valid';
+        }
+
+        const lowerKeyword = engine.keyword.toLowerCase();
+        const clash = customEngines.find(other => other.id !== engine.id && other.keyword.toLowerCase() === lowerKeyword);
+        return clash ? `!${engine.keyword} is already used by ${clash.name}` : null;
+    }
+
+    createEngine({ name, keyword, url }) {
+        return {
+            id: `custom-${Date.now().toString(36)}`,
+            name: name.trim(),
+            keyword: keyword.trim().replace(/^!/, ''),
+            url: url.trim()
+        };
+    }
+
+    updatePlaceholder() {
+        if (this.elements.input) {
+            this.elements.input.placeholder = `Search ${this.getDefaultEngine().name} or type a URL (!gh, !mdn...)`;
+        }
+    }
+
+    // The first row is always the search (or URL); bookmarks follow, and one that
+    // starts with what was typed is preselected so Enter opens it
+    updateSuggestions() {
+        const text = this.elements.input.value.trim();
+        const action = this.resolve(text);
+
+        if (!action) {
+            this.hideSuggestions();
+            return;
+        }
+
+        const bookmarks = action.type === 'search' && action.engine === this.getDefaultEngine() && text.length >= this.minSuggestLength ?
+            this.app.bookmarks.rankBookmarks(text).slice(0, this.maxSuggestions).map(result => result.item) :
+            [];
+
+        this.suggestions = [
+            { type: action.type, url: action.url, label: this.describeAction(action) },
+            ...bookmarks.map(bookmark => ({ type: 'bookmark', url: bookmark.url, label: bookmark.title || bookmark.url, bookmark }))
+        ];
+
+        const strongIndex = bookmarks.findIndex(bookmark => this.isStrongMatch(bookmark, text));
+        this.renderSuggestions(strongIndex === 0 ? 1 : 0);
+    }
+
+    describeAction(action) {
+        if (action.type === 'url') return `Go to ${action.url}`;
+        if (!action.query) return `Open ${action.engine.name}`;
+        return `Search ${action.engine.name} for "${action.query}"`;
+    }
+
+    isStrongMatch(bookmark, text) {
+        const lowerText = text.toLowerCase();
+        const title = (bookmark.title || '').toLowerCase();
+        let host = '';
+        try {
+            host = new URL(bookmark.url).hostname.replace(/^www\./, '');
+        } catch {
+            host = '';
+        }
+        return title.startsWith(lowerText) || host.startsWith(lowerText);
+    }
+
+    renderSuggestions(activeIndex) {
+        const list = this.elements.suggestions;
+        if (!list) return;
+
+        list.innerHTML = '';
+        this.suggestions.forEach((suggestion, index) => {
+            const item = document.createElement('li');
+            item.className = `web-suggestion web-suggestion-${suggestion.type}`;
+            item.id = `web-suggestion-${index}`;
+            item.dataset.index = index;
+            item.setAttribute('role', 'option');
+
+            const icon = document.createElement('span');
+            icon.className = 'web-suggestion-icon';
+            icon.textContent = { search: '🔍', url: '↗', bookmark: '★' }[suggestion.type];
+
+            const label = document.createElement('span');
+            label.className = 'web-suggestion-label';
+            label.textContent = suggestion.label;
+
+            item.appendChild(icon);
+            item.appendChild(label);
+
+            if (suggestion.bookmark) {
+                const detail = document.createElement('span');
+                detail.className = 'web-suggestion-detail';
+                detail.textContent = this.app.getFolderPathLabel(suggestion.bookmark.parentId);
+                item.appendChild(detail);
+            }
+
+            list.appendChild(item);
+        });
+
+        list.classList.toggle('hidden', this.suggestions.length < 2);
+        this.elements.input.setAttribute('aria-expanded', String(this.suggestions.length > 1));
+        this.setActive(activeIndex);
+    }
+
+    setActive(index) {
+        const items = this.elements.suggestions?.querySelectorAll('.web-suggestion') || [];
+        if (items.length === 0) return;
+
+        this.activeIndex = (index + items.length) % items.length;
+        items.forEach((item, itemIndex) => {
+            const isActive = itemIndex === this.activeIndex;
+            item.classList.toggle('active', isActive);
+            item.setAttribute('aria-selected', String(isActive));
+        });
+        this.elements.input.setAttribute('aria-activedescendant', items[this.activeIndex].id);
+    }
+
+    hideSuggestions() {
+        this.suggestions = [];
+        this.elements.suggestions?.classList.add('hidden');
+        this.elements.input?.setAttribute('aria-expanded', 'false');
+        this.elements.input?.removeAttribute('aria-activedescendant');
+    }
+
+    handleKeydown(e) {
+        const isOpen = this.suggestions.length > 1;
+        const handlers = {
+            'ArrowDown': () => isOpen && this.setActive(this.activeIndex + 1),
+            'ArrowUp': () => isOpen && this.setActive(this.activeIndex - 1),
+            'Enter': () => this.submit(),
+            'Escape': () => {
+                if (!isOpen) return false;
+                this.hideSuggestions();
+                // Keep the page's Escape handling (clearing the bookmark search) out of it
+                e.stopPropagation();
+            }
+        };
+
+        const handler = handlers[e.key];
+        if (!handler) return;
+        if (handler() !== false) e.preventDefault();
+    }
+
+    handleSuggestionMouseDown(e) {
+        const item = e.target.closest('.web-suggestion');
+        if (!item) return;
+
+        e.preventDefault();
+        this.activeIndex = Number(item.dataset.index);
+        this.submit();
+    }
+
+    submit() {
+        // Suggestions lag behind fast typing; make sure Enter acts on what is in the box
+        if (this.suggestions.length === 0) this.updateSuggestions();
+
+        const suggestion = this.suggestions[this.activeIndex] || this.suggestions[0];
+        if (!suggestion) return;
+
+        window.open(suggestion.url, '_blank');
+        this.elements.input.value = '';
+        this.hideSuggestions();
+    }
+
+    destroy() {
+        this.elements.input?.removeEventListener('input', this.boundHandlers.handleInput);
+        this.elements.input?.removeEventListener('keydown', this.boundHandlers.handleKeydown);
+        this.elements.input?.removeEventListener('blur', this.boundHandlers.handleBlur);
+        this.elements.suggestions?.removeEventListener('mousedown', this.boundHandlers.handleSuggestionMouseDown);
+    }
+}
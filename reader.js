@@ -0,0 +1,68 @@
+// Reader page - shows an offline snapshot saved from the reading list
+//
+// Opened as reader.html?url=<article URL>. Typography follows the theme and
+// font settings of the new tab page.
+import { SettingsManager } from './js/settings.js';
+import { SnapshotManager } from './js/offline-snapshots.js';
+
+class OfflineReader {
+    constructor() {
+        this.settings = new SettingsManager();
+        this.snapshots = new SnapshotManager();
+        this.url = new URLSearchParams(location.search).get('url') || '';
+
+        this.elements = {
+            site: document.getElementById('reader-site'),
+            title: document.getElementById('reader-title'),
+            byline: document.getElementById('reader-byline'),
+            saved: document.getElementById('reader-saved'),
+            original: document.getElementById('reader-original'),
+            content: document.getElementById('reader-content')
+        };
+    }
+
+    async init() {
+        await this.settings.load();
+
+        try {
+            const snapshot = this.url ? await this.snapshots.get(this.url) : null;
+            if (snapshot) {
+                this.render(snapshot);
+            } else {
+                this.renderMissing();
+            }
+        } catch (error) {
+            console.error('Error opening offline copy:', error);
+            this.renderMissing();
+        }
+    }
+
+    render(snapshot) {
+        document.title = snapshot.title;
+        this.elements.site.textContent = snapshot.siteName;
+        this.elements.title.textContent = snapshot.title;
+        this.elements.byline.textContent = snapshot.byline;
+        this.elements.byline.hidden = !snapshot.byline;
+        this.elements.saved.textContent = `Saved ${new Date(snapshot.savedAt).toLocaleDateString(undefined, { dateStyle: 'medium' })}`;
+        this.elements.original.href = snapshot.url;
+
+        // Stored markup was cleaned when it was saved; clean it again rather than trust storage
+        const doc = new DOMParser().parseFromString(snapshot.html, 'text/html');
+        this.elements.content.innerHTML = '';
+        this.snapshots.extractor.copyChildren(doc.body, this.elements.content, snapshot.url);
+    }
+
+    renderMissing() {
+        this.elements.title.textContent = 'No offline copy';
+        this.elements.content.textContent = 'This article has not been saved for offline reading, or its copy was deleted.';
+        if (this.url) {
+            this.elements.original.href = this.url;
+        } else {
+            this.elements.original.hidden = true;
+        }
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    new OfflineReader().init();
+});
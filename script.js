@@ -4,15 +4,36 @@ import { BookmarkManager } from './js/bookmarks.js';
 import { UIManager } from './js/ui.js';
 import { SettingsManager } from './js/settings.js';
 import { ReadingListManager } from './js/reading-list.js';
+import { HistoryManager } from './js/history-manager.js';
+import { LinkHealthManager } from './js/link-health.js';
+import { SyncStorage } from './js/sync-storage.js';
+import { CommandPalette } from './js/command-palette.js';
+import { FaviconCache } from './js/favicon-cache.js';
+import { TagManager } from './js/tags.js';
+import { NoteManager } from './js/notes.js';
+import { SnoozeManager } from './js/reading-snooze.js';
+import { SnapshotManager } from './js/offline-snapshots.js';
 
 class VisualBookmarksApp {
     constructor() {
-        this.bookmarks = new BookmarkManager();
+        this.syncStorage = new SyncStorage();
+        this.notes = new NoteManager();
+        this.bookmarks = new BookmarkManager(this.syncStorage, this.notes);
         this.ui = new UIManager();
-        this.settings = new SettingsManager();
-        this.readingList = new ReadingListManager();
+        this.settings = new SettingsManager(this.syncStorage);
+        this.snoozes = new SnoozeManager();
+        this.readingList = new ReadingListManager(this.syncStorage, this.snoozes);
+        this.snapshots = new SnapshotManager();
+        this.history = new HistoryManager();
+        this.linkHealth = new LinkHealthManager();
+        this.favicons = new FaviconCache(this.settings);
+        this.tags = new TagManager();
+        this.commands = new CommandPalette(this);
         this.currentView = 'favorites';
         this.currentFolder = null;
+        this.currentQuery = '';
+        this.selectedTags = [];
+        this.snoozeTimer = null;
         
         // Performance optimization - debounced search
         this.debouncedSearch = this.debounce(this.performSearch.bind(this), 300);
@@ -28,12 +49,41 @@ class VisualBookmarksApp {
             // Load data in parallel for faster startup
             await Promise.all([
                 this.bookmarks.load(),
-                this.readingList.load()
+                this.readingList.load(),
+                this.linkHealth.load(),
+                this.favicons.load(),
+                this.tags.load(),
+                this.notes.load(),
+                this.snoozes.load(),
+                this.snapshots.load()
             ]);
+            this.pruneBookmarkData();
+            await this.readingList.removeReadOlderThan(this.settings.current.readingAutoRemoveDays);
+            this.pruneReadingData();
+            
+            // Merge in what other devices changed while this one was away
+            await this.syncStorage.init();
 
             // Initialize UI last
             this.ui.init(this);
             this.ui.switchTab('favorites');
+            await this.commands.init();
+
+            // Keep open views in step with changes made anywhere in the browser
+            this.bookmarks.addChangeListener(() => {
+                this.pruneBookmarkData();
+                this.refreshCurrentView();
+            });
+            this.bookmarks.startLiveSync();
+            this.syncStorage.addChangeListener(() => this.refreshCurrentView());
+            this.snoozes.addChangeListener(() => {
+                this.refreshCurrentView();
+                this.scheduleSnoozeRefresh();
+            });
+            this.snoozes.watch();
+            this.scheduleSnoozeRefresh();
+            this.syncStorage.addErrorListener(error => this.handleSyncError(error));
+            window.addEventListener('pagehide', () => this.syncStorage.flush());
 
             console.log('Visual Bookmarks initialized successfully');
         } catch (error) {
@@ -60,18 +110,73 @@ class VisualBookmarksApp {
 
     // Navigation methods
     switchView(view, folderId = null) {
+        // Picking a view leaves global search results mode
+        if (this.currentQuery) {
+            this.currentQuery = '';
+            this.ui.clearSearchInput();
+        }
+        
         this.currentView = view;
         this.currentFolder = folderId ? this.bookmarks.getFolder(folderId) : null;
+        this.ui.selection?.clear();
         this.ui.switchTab(view, this.currentFolder);
     }
 
+    openParentFolder() {
+        const parent = this.currentFolder ? this.bookmarks.getParentFolder(this.currentFolder.id) : null;
+        if (parent) {
+            this.switchView('folder-view', parent.id);
+        } else {
+            this.switchView('folders');
+        }
+    }
+
     // Search functionality with debouncing for performance
     search(query) {
         this.debouncedSearch(query);
     }
 
+    // A non-empty query searches every source; clearing it returns to the current view
     performSearch(query) {
-        this.ui.updateDisplay(this.currentView, this.currentFolder, query);
+        const wasSearching = Boolean(this.currentQuery.trim());
+        this.currentQuery = query;
+        
+        if (query.trim()) {
+            this.ui.showSearchResults(query);
+        } else if (wasSearching) {
+            this.ui.switchTab(this.currentView, this.currentFolder);
+        }
+    }
+
+    // Merged, ranked results across bookmarks, folders and the reading list
+    getSearchResults(query) {
+        const results = [
+            ...this.bookmarks.rankBookmarks(query).map(({ item, score }) => ({
+                type: 'bookmark',
+                item,
+                score,
+                source: this.getFolderPathLabel(item.parentId)
+            })),
+            ...this.bookmarks.rankFolders(query).map(({ item, score }) => ({
+                type: 'folder',
+                item,
+                score,
+                source: this.getFolderPathLabel(item.parentId) || 'Folders'
+            })),
+            ...this.readingList.rank(query).map(({ item, score }) => ({
+                type: 'reading',
+                item,
+                score,
+                source: 'Reading list'
+            }))
+        ];
+        
+        // Array.prototype.sort is stable, so ties keep bookmarks before folders and reading items
+        return results.sort((a, b) => b.score - a.score);
+    }
+
+    getFolderPathLabel(folderId) {
+        return this.bookmarks.getFolderPath(folderId).map(folder => folder.title).join(' › ');
     }
 
     // Bookmark CRUD operations
@@ -83,6 +188,12 @@ class VisualBookmarksApp {
             if (data.isFavorite) {
                 this.bookmarks.addToFavorites(bookmark);
             }
+            if (data.tags?.length) {
+                this.tags.setTags(bookmark.id, data.tags);
+            }
+            if (data.notes) {
+                this.notes.set(bookmark.id, data.notes);
+            }
             if (data.addToReading) {
                 await this.readingList.add(bookmark);
             }
@@ -97,9 +208,80 @@ class VisualBookmarksApp {
         }
     }
 
+    // Links dropped onto the page or pasted; ones already bookmarked wait for "Add anyway"
+    async addLinks(links, parentId = this.getDefaultFolderId(), allowDuplicates = false) {
+        const duplicates = allowDuplicates ? [] : links.filter(link => this.bookmarks.findByUrl(link.url).length > 0);
+        const snapshots = [];
+
+        try {
+            for (const link of links.filter(link => !duplicates.includes(link))) {
+                const created = await this.bookmarks.create({ title: link.title || this.getTitleFromUrl(link.url), url: link.url, parentId });
+                snapshots.push({ id: created.id, title: created.title, url: created.url, parentId: created.parentId, index: created.index });
+            }
+        } catch (error) {
+            console.error('Error adding links:', error);
+            this.showErrorMessage('Failed to add some bookmarks');
+        }
+
+        if (snapshots.length > 0) {
+            this.history.record({
+                label: snapshots.length === 1 ? 'Add bookmark' : `Add ${snapshots.length} bookmarks`,
+                undo: async () => {
+                    for (const snapshot of snapshots) {
+                        await this.removeBookmark(this.history.resolveId(snapshot.id));
+                    }
+                },
+                redo: async () => {
+                    for (const snapshot of snapshots) {
+                        await this.restoreBookmark(snapshot.id, snapshot);
+                    }
+                }
+            });
+
+            const folderTitle = this.bookmarks.getFolder(parentId)?.title || 'bookmarks';
+            const added = snapshots.length === 1 ? `"${snapshots[0].title}"` : `${snapshots.length} bookmarks`;
+            this.showSuccessMessage(`Added ${added} to ${folderTitle}`, { action: this.createUndoAction() });
+        }
+
+        if (duplicates.length > 0) {
+            const message = duplicates.length === 1 ?
+                `"${duplicates[0].title || this.getTitleFromUrl(duplicates[0].url)}" is already bookmarked` :
+                `${duplicates.length} links are already bookmarked`;
+            this.showWarningMessage(message, {
+                action: { label: 'Add anyway', handler: () => this.addLinks(duplicates, parentId, true) }
+            });
+        }
+
+        this.refreshCurrentView();
+    }
+
+    // New bookmarks without a chosen folder go into the open folder, or the Bookmarks Bar
+    getDefaultFolderId() {
+        if (this.currentView === 'folder-view' && this.currentFolder) return this.currentFolder.id;
+        return this.bookmarks.getSubfolders()[0]?.id;
+    }
+
+    getTitleFromUrl(url) {
+        try {
+            return new URL(url).hostname.replace(/^www\./, '') || url;
+        } catch {
+            return url;
+        }
+    }
+
     async editBookmark(id, data) {
         try {
-            await this.bookmarks.update(id, data);
+            const previous = this.bookmarks.getBookmark(id);
+            const before = { title: previous?.title, url: previous?.url, tags: this.tags.getTags(id), notes: this.notes.get(id) };
+            const after = { title: data.title, url: data.url, tags: data.tags ?? before.tags, notes: data.notes ?? before.notes };
+            
+            await this.applyBookmarkEdit(id, after);
+            this.history.record({
+                label: 'Edit bookmark',
+                undo: () => this.applyBookmarkEdit(this.history.resolveId(id), before),
+                redo: () => this.applyBookmarkEdit(this.history.resolveId(id), after)
+            });
+            
             this.refreshCurrentView();
             this.showSuccessMessage('Bookmark updated successfully!');
         } catch (error) {
@@ -109,12 +291,39 @@ class VisualBookmarksApp {
         }
     }
 
+    // Tags and notes live next to the bookmark, so an edit writes all three
+    async applyBookmarkEdit(id, { title, url, tags, notes }) {
+        await this.bookmarks.update(id, { title, url });
+        this.tags.setTags(id, tags);
+        this.notes.set(id, notes);
+    }
+
     async deleteBookmark(id) {
         try {
-            await this.bookmarks.delete(id);
-            this.bookmarks.removeFromFavorites(id);
+            const bookmark = this.bookmarks.getBookmark(id);
+            const snapshot = bookmark && {
+                title: bookmark.title,
+                url: bookmark.url,
+                parentId: bookmark.parentId,
+                index: bookmark.index,
+                isFavorite: this.bookmarks.isFavorite(id),
+                favoriteIndex: this.bookmarks.getFavoriteIndex(id),
+                tags: this.tags.getTags(id),
+                notes: this.notes.get(id)
+            };
+            
+            await this.removeBookmark(id);
+            
+            if (snapshot) {
+                this.history.record({
+                    label: 'Delete bookmark',
+                    undo: () => this.restoreBookmark(id, snapshot),
+                    redo: () => this.removeBookmark(this.history.resolveId(id))
+                });
+            }
+            
             this.refreshCurrentView();
-            this.showSuccessMessage('Bookmark deleted successfully!');
+            this.showSuccessMessage('Bookmark deleted', { action: this.createUndoAction() });
         } catch (error) {
             console.error('Error deleting bookmark:', error);
             this.showErrorMessage('Failed to delete bookmark');
@@ -122,19 +331,97 @@ class VisualBookmarksApp {
         }
     }
 
+    async removeBookmark(id) {
+        await this.bookmarks.delete(id);
+        this.bookmarks.removeFromFavorites(id);
+    }
+
+    // Re-creates a deleted bookmark in its old place; Chrome assigns it a new id
+    async restoreBookmark(originalId, snapshot) {
+        const restored = await this.bookmarks.create(snapshot);
+        this.history.aliasId(this.history.resolveId(originalId), restored.id);
+        
+        if (snapshot.isFavorite) {
+            this.bookmarks.setFavorite(restored.id, true, snapshot.favoriteIndex);
+        }
+        if (snapshot.tags?.length) {
+            this.tags.setTags(restored.id, snapshot.tags);
+        }
+        if (snapshot.notes) {
+            this.notes.set(restored.id, snapshot.notes);
+        }
+        return restored;
+    }
+
     async toggleFavorite(id) {
         try {
+            const wasFavorite = this.bookmarks.isFavorite(id);
+            const favoriteIndex = this.bookmarks.getFavoriteIndex(id);
+            
             this.bookmarks.toggleFavorite(id);
+            this.history.record({
+                label: wasFavorite ? 'Remove from favorites' : 'Add to favorites',
+                undo: async () => this.bookmarks.setFavorite(this.history.resolveId(id), wasFavorite, favoriteIndex),
+                redo: async () => this.bookmarks.setFavorite(this.history.resolveId(id), !wasFavorite)
+            });
+            
             this.refreshCurrentView();
         } catch (error) {
             console.error('Error toggling favorite:', error);
-            this.showErrorMessage('Failed to update favorite');
+            this.showErrorMessage('Failed to update favorite', {
+                action: this.createRetryAction(() => this.toggleFavorite(id))
+            });
+        }
+    }
+
+    // Moves a bookmark or a folder
+    async moveBookmark(id, destination) {
+        const entry = this.bookmarks.findEntry(id);
+        const origin = entry && { parentId: entry.parentId, index: entry.index };
+        
+        const moved = await this.bookmarks.move(id, destination);
+        
+        if (origin) {
+            this.history.record({
+                label: entry.url ? 'Move bookmark' : 'Move folder',
+                undo: () => this.bookmarks.moveToPosition(this.history.resolveId(id), origin.parentId, origin.index),
+                redo: () => this.bookmarks.moveToPosition(this.history.resolveId(id), moved.parentId, moved.index)
+            });
+        }
+        return moved;
+    }
+
+    // Undo / redo
+    async undo() {
+        await this.applyHistory('undo');
+    }
+
+    async redo() {
+        await this.applyHistory('redo');
+    }
+
+    async applyHistory(direction) {
+        try {
+            const operation = await this.history[direction]();
+            if (!operation) return;
+            
+            this.refreshCurrentView();
+            this.showSuccessMessage(`${direction === 'undo' ? 'Undone' : 'Redone'}: ${operation.label}`);
+        } catch (error) {
+            this.refreshCurrentView();
+            this.showErrorMessage(`Could not ${direction} that change`);
         }
     }
 
+    createUndoAction() {
+        return { label: 'Undo', handler: () => this.undo() };
+    }
+
     async createFolder(name) {
         try {
-            await this.bookmarks.createFolder(name);
+            // Create inside the open folder, or at the top level of the Bookmarks Bar
+            const parentId = this.currentView === 'folder-view' ? this.currentFolder?.id : null;
+            await this.bookmarks.createFolder(name, parentId);
             this.refreshCurrentView();
             this.showSuccessMessage('Folder created successfully!');
         } catch (error) {
@@ -144,6 +431,389 @@ class VisualBookmarksApp {
         }
     }
 
+    // Import / export operations
+    async importBookmarks(file, parentId, onProgress) {
+        try {
+            const html = await file.text();
+            const summary = await this.bookmarks.importHtml(html, parentId, onProgress);
+            this.showSuccessMessage(`Imported ${summary.created} bookmarks, skipped ${summary.duplicates} duplicates`);
+            return summary;
+        } catch (error) {
+            console.error('Error importing bookmarks:', error);
+            this.showErrorMessage('Failed to import bookmarks');
+            throw error;
+        }
+    }
+
+    async exportBookmarks(folderId = null) {
+        try {
+            const html = await this.bookmarks.exportHtml(folderId);
+            const folderTitle = folderId ? this.bookmarks.getFolder(folderId)?.title : '';
+            
+            this.downloadHtml(folderTitle || 'bookmarks', html);
+            this.showSuccessMessage('Bookmarks exported!');
+        } catch (error) {
+            console.error('Error exporting bookmarks:', error);
+            this.showErrorMessage('Failed to export bookmarks');
+            throw error;
+        }
+    }
+
+    downloadHtml(baseName, html) {
+        const safeName = baseName.replace(/[^\w.-]+/g, '-').toLowerCase();
+        const date = new Date().toISOString().slice(0, 10);
+        this.ui.downloadFile(`${safeName}-${date}.html`, html, 'text/html');
+    }
+
+    // Bulk operations - each goes through the Chrome API and ends with a single refresh,
+    // from the one change notification the batch sends. A bookmark that fails is skipped
+    // and the rest carry on; history gets what was actually done.
+    async bulkMove(ids, parentId) {
+        const origins = this.captureOrigins(ids);
+        const moved = [];
+        
+        await this.bookmarks.runBatch(async () => {
+            for (const origin of origins) {
+                try {
+                    await this.bookmarks.move(origin.id, { parentId });
+                    moved.push(origin);
+                } catch (error) {
+                    console.error('Error moving bookmark:', error);
+                }
+            }
+        });
+        
+        if (moved.length > 0) {
+            this.history.record({
+                label: `Move ${moved.length} bookmarks`,
+                undo: () => this.bookmarks.runBatch(() => this.restoreOrigins(moved)),
+                redo: () => this.bookmarks.runBatch(async () => {
+                    for (const origin of moved) {
+                        await this.bookmarks.move(this.history.resolveId(origin.id), { parentId });
+                    }
+                })
+            });
+        }
+        
+        if (moved.length < origins.length) {
+            this.showErrorMessage(`Moved ${moved.length} of ${origins.length} bookmarks; the rest could not be moved`,
+                moved.length > 0 ? { action: this.createUndoAction() } : {});
+        } else {
+            this.showSuccessMessage(`Moved ${moved.length} bookmarks`, { action: this.createUndoAction() });
+        }
+    }
+
+    async bulkDelete(ids) {
+        const snapshots = this.captureSnapshots(ids);
+        const deleted = [];
+        
+        await this.bookmarks.runBatch(async () => {
+            for (const snapshot of snapshots) {
+                try {
+                    await this.bookmarks.delete(snapshot.id);
+                    deleted.push(snapshot);
+                } catch (error) {
+                    console.error('Error deleting bookmark:', error);
+                }
+            }
+            // Only what was deleted stops being a favorite. Still inside the batch, so
+            // reconciling never sees these favorites without their bookmark
+            this.bookmarks.setFavorites(deleted.map(snapshot => snapshot.id), false);
+        });
+        
+        if (deleted.length > 0) {
+            this.history.record({
+                label: `Delete ${deleted.length} bookmarks`,
+                undo: () => this.bookmarks.runBatch(async () => {
+                    // Ascending index order puts every bookmark back in its old slot
+                    for (const snapshot of deleted) {
+                        await this.restoreBookmark(snapshot.id, snapshot);
+                    }
+                }),
+                redo: () => this.bookmarks.runBatch(async () => {
+                    const currentIds = deleted.map(snapshot => this.history.resolveId(snapshot.id));
+                    for (const id of currentIds) {
+                        await this.bookmarks.delete(id);
+                    }
+                    this.bookmarks.setFavorites(currentIds, false);
+                })
+            });
+        }
+        
+        if (deleted.length < snapshots.length) {
+            this.showErrorMessage(`Deleted ${deleted.length} of ${snapshots.length} bookmarks; the rest could not be deleted`,
+                deleted.length > 0 ? { action: this.createUndoAction() } : {});
+        } else {
+            this.showSuccessMessage(`Deleted ${deleted.length} bookmarks`, { action: this.createUndoAction() });
+        }
+    }
+
+    bulkSetFavorite(ids, isFavorite) {
+        const changedIds = ids.filter(id => this.bookmarks.isFavorite(id) !== isFavorite);
+        const favoriteIndexes = new Map(changedIds.map(id => [id, this.bookmarks.getFavoriteIndex(id)]));
+        
+        this.bookmarks.setFavorites(changedIds, isFavorite);
+        this.history.record({
+            label: isFavorite ? 'Add to favorites' : 'Remove from favorites',
+            undo: async () => {
+                if (isFavorite) {
+                    this.bookmarks.setFavorites(changedIds.map(id => this.history.resolveId(id)), false);
+                } else {
+                    // Restore the old favorites order, lowest position first
+                    [...favoriteIndexes]
+                        .sort((a, b) => a[1] - b[1])
+                        .forEach(([id, index]) => this.bookmarks.setFavorite(this.history.resolveId(id), true, index));
+                }
+            },
+            redo: async () => this.bookmarks.setFavorites(changedIds.map(id => this.history.resolveId(id)), isFavorite)
+        });
+        
+        this.refreshCurrentView();
+        this.showSuccessMessage(
+            `${isFavorite ? 'Added' : 'Removed'} ${changedIds.length} ${isFavorite ? 'to' : 'from'} favorites`,
+            { action: this.createUndoAction() }
+        );
+    }
+
+    async bulkAddToReadingList(ids) {
+        try {
+            const bookmarks = ids.map(id => this.bookmarks.getBookmark(id)).filter(Boolean);
+            const added = await this.readingList.addMany(bookmarks);
+            this.refreshCurrentView();
+            this.showSuccessMessage(`Added ${added} to reading list`);
+        } catch (error) {
+            console.error('Error adding to reading list:', error);
+            this.showErrorMessage('Failed to add to reading list');
+        }
+    }
+
+    openBookmarks(ids, confirmed = false) {
+        const bookmarks = ids.map(id => this.bookmarks.getBookmark(id)).filter(Boolean);
+        
+        if (bookmarks.length > 10 && !confirmed) {
+            this.showWarningMessage(`Open ${bookmarks.length} tabs?`, {
+                action: { label: 'Open all', handler: () => this.openBookmarks(ids, true) }
+            });
+            return;
+        }
+        
+        bookmarks.forEach(bookmark => this.openInBackground(bookmark.url));
+    }
+
+    openInBackground(url) {
+        if (chrome.tabs?.create) {
+            chrome.tabs.create({ url, active: false });
+        } else {
+            window.open(url, '_blank');
+        }
+    }
+
+    exportSelection(ids) {
+        try {
+            this.downloadHtml('selected-bookmarks', this.bookmarks.exportBookmarksHtml(ids));
+            this.showSuccessMessage(`Exported ${ids.length} bookmarks`);
+        } catch (error) {
+            console.error('Error exporting bookmarks:', error);
+            this.showErrorMessage('Failed to export bookmarks');
+        }
+    }
+
+    // Where each bookmark sits now, lowest index first so restoring is order-safe
+    captureOrigins(ids) {
+        return ids
+            .map(id => this.bookmarks.getBookmark(id))
+            .filter(Boolean)
+            .map(bookmark => ({ id: bookmark.id, parentId: bookmark.parentId, index: bookmark.index }))
+            .sort((a, b) => a.index - b.index);
+    }
+
+    // Everything needed to re-create deleted bookmarks with restoreBookmark()
+    captureSnapshots(ids) {
+        return this.captureOrigins(ids).map(origin => ({
+            ...origin,
+            title: this.bookmarks.getBookmark(origin.id).title,
+            url: this.bookmarks.getBookmark(origin.id).url,
+            isFavorite: this.bookmarks.isFavorite(origin.id),
+            favoriteIndex: this.bookmarks.getFavoriteIndex(origin.id),
+            tags: this.tags.getTags(origin.id),
+            notes: this.notes.get(origin.id)
+        }));
+    }
+
+    async restoreOrigins(origins) {
+        for (const origin of origins) {
+            await this.bookmarks.moveToPosition(this.history.resolveId(origin.id), origin.parentId, origin.index);
+        }
+    }
+
+    // Duplicates - the same page bookmarked more than once
+    findDuplicateBookmarks(url, excludeId = null) {
+        return this.bookmarks.findByUrl(url, excludeId);
+    }
+
+    getDuplicateGroups() {
+        return this.bookmarks.getDuplicateGroups();
+    }
+
+    // merges: [{ keepId, removeIds }]; the kept copy takes over any favorite status, all tags and notes
+    async mergeDuplicates(merges) {
+        const plans = merges.map(({ keepId, removeIds }) => ({
+            keepId,
+            keptFavorite: this.bookmarks.isFavorite(keepId),
+            keptTags: this.tags.getTags(keepId),
+            keptNotes: this.notes.get(keepId),
+            snapshots: this.captureSnapshots(removeIds)
+        }));
+        const duplicateCount = plans.reduce((count, plan) => count + plan.snapshots.length, 0);
+        
+        // Deletes a group's copies, then folds only those that went into the kept one
+        const applyPlan = async plan => {
+            const deleted = [];
+            for (const snapshot of plan.snapshots) {
+                try {
+                    await this.bookmarks.delete(this.history.resolveId(snapshot.id));
+                    deleted.push(snapshot);
+                } catch (error) {
+                    console.error('Error removing duplicate:', error);
+                }
+            }
+            if (deleted.length === 0) return null;
+            
+            const keepId = this.history.resolveId(plan.keepId);
+            const favoriteIndexes = deleted.filter(snapshot => snapshot.isFavorite).map(snapshot => snapshot.favoriteIndex);
+            // Take the first removed favorite's slot before letting it go
+            if (!plan.keptFavorite && favoriteIndexes.length > 0) {
+                this.bookmarks.setFavorite(keepId, true, Math.min(...favoriteIndexes));
+            }
+            this.bookmarks.setFavorites(deleted.map(snapshot => this.history.resolveId(snapshot.id)), false);
+            this.tags.setTags(keepId, [...plan.keptTags, ...deleted.flatMap(snapshot => snapshot.tags)]);
+            this.notes.set(keepId, [...new Set([plan.keptNotes, ...deleted.map(snapshot => snapshot.notes)].filter(Boolean))].join('\n\n'));
+            return { ...plan, snapshots: deleted };
+        };
+        
+        const merged = [];
+        await this.bookmarks.runBatch(async () => {
+            for (const plan of plans) {
+                const result = await applyPlan(plan);
+                if (result) merged.push(result);
+            }
+        });
+        const removedCount = merged.reduce((count, plan) => count + plan.snapshots.length, 0);
+        
+        if (removedCount > 0) {
+            this.history.record({
+                label: `Remove ${removedCount} duplicates`,
+                undo: () => this.bookmarks.runBatch(async () => {
+                    merged.forEach(plan => {
+                        const keepId = this.history.resolveId(plan.keepId);
+                        if (!plan.keptFavorite) this.bookmarks.setFavorite(keepId, false);
+                        this.tags.setTags(keepId, plan.keptTags);
+                        this.notes.set(keepId, plan.keptNotes);
+                    });
+                    // Ascending index order across every group puts each copy back in its old slot
+                    const snapshots = merged.flatMap(plan => plan.snapshots).sort((a, b) => a.index - b.index);
+                    for (const snapshot of snapshots) {
+                        await this.restoreBookmark(snapshot.id, snapshot);
+                    }
+                }),
+                redo: () => this.bookmarks.runBatch(async () => {
+                    for (const plan of merged) {
+                        await applyPlan(plan);
+                    }
+                })
+            });
+        }
+        
+        if (removedCount < duplicateCount) {
+            this.showErrorMessage(`Removed ${removedCount} of ${duplicateCount} duplicates; the rest could not be removed`,
+                removedCount > 0 ? { action: this.createUndoAction() } : {});
+        } else {
+            this.showSuccessMessage(`Removed ${removedCount} duplicate ${removedCount === 1 ? 'bookmark' : 'bookmarks'}`, {
+                action: this.createUndoAction()
+            });
+        }
+    }
+
+    // Keeps the first copy of every group (favorites, then the oldest)
+    async mergeAllDuplicates() {
+        const merges = this.getDuplicateGroups().map(group => ({
+            keepId: group.bookmarks[0].id,
+            removeIds: group.bookmarks.slice(1).map(bookmark => bookmark.id)
+        }));
+        if (merges.length > 0) {
+            await this.mergeDuplicates(merges);
+        }
+    }
+
+    // Link health - check every bookmark URL for dead links and redirects
+    async scanLinkHealth(onProgress) {
+        if (this.linkHealth.isScanning) return null;
+        
+        try {
+            if (!(await this.linkHealth.requestPermission())) {
+                this.showWarningMessage('Link checking needs permission to reach the bookmarked sites');
+                return null;
+            }
+            
+            const urls = this.bookmarks.getAll().map(bookmark => bookmark.url);
+            const summary = await this.linkHealth.scan(urls, onProgress);
+            const problems = summary.broken + summary.unreachable + summary.redirect;
+            
+            this.refreshCurrentView();
+            if (summary.cancelled) {
+                this.showInfoMessage('Link check stopped');
+            } else if (problems === 0) {
+                this.showSuccessMessage(`All ${summary.total} links look healthy`);
+            } else {
+                this.showWarningMessage(`Checked ${summary.total} links: ${summary.broken + summary.unreachable} broken, ${summary.redirect} redirected`);
+            }
+            return summary;
+        } catch (error) {
+            console.error('Error checking links:', error);
+            this.showErrorMessage('Failed to check links', {
+                action: this.createRetryAction(() => this.scanLinkHealth(onProgress))
+            });
+            return null;
+        }
+    }
+
+    cancelLinkHealthScan() {
+        this.linkHealth.cancel();
+    }
+
+    async recheckLink(id) {
+        const bookmark = this.bookmarks.getBookmark(id);
+        if (!bookmark) return;
+        
+        if (!(await this.linkHealth.requestPermission())) {
+            this.showWarningMessage('Link checking needs permission to reach the bookmarked sites');
+            return;
+        }
+        
+        const result = await this.linkHealth.check(bookmark.url);
+        await this.linkHealth.save();
+        this.refreshCurrentView();
+        if (result.status === 'ok') {
+            this.showSuccessMessage(`${bookmark.title || 'Bookmark'} is working again`);
+        }
+    }
+
+    // Points a redirected bookmark at where it ends up
+    async applyRedirect(id) {
+        const bookmark = this.bookmarks.getBookmark(id);
+        const result = bookmark && this.linkHealth.getResult(bookmark.url);
+        if (!result?.finalUrl) return;
+        
+        await this.editBookmark(id, { title: bookmark.title, url: result.finalUrl });
+        await this.linkHealth.markHealthy(result.finalUrl, result.code);
+        this.refreshCurrentView();
+    }
+
+    getLinkHealthProblems(filter = 'problems', query = '') {
+        const bookmarks = this.bookmarks.filterBookmarks(this.bookmarks.getAll(), query);
+        return this.linkHealth.getProblems(bookmarks, filter);
+    }
+
     // Reading list operations
     async addToReadingList(bookmark) {
         try {
@@ -151,27 +821,180 @@ class VisualBookmarksApp {
             this.showSuccessMessage('Added to reading list!');
         } catch (error) {
             console.error('Error adding to reading list:', error);
-            this.showErrorMessage('Failed to add to reading list');
+            this.showErrorMessage('Failed to add to reading list', {
+                action: this.createRetryAction(() => this.addToReadingList(bookmark))
+            });
         }
     }
 
     async removeFromReadingList(url) {
         try {
             await this.readingList.remove(url);
-            if (this.currentView === 'reading') {
+            await this.snapshots.delete(url);
+            if (this.currentView === 'reading' || this.currentQuery.trim()) {
                 this.refreshCurrentView();
             }
             this.showSuccessMessage('Removed from reading list!');
         } catch (error) {
             console.error('Error removing from reading list:', error);
-            this.showErrorMessage('Failed to remove from reading list');
+            this.showErrorMessage('Failed to remove from reading list', {
+                action: this.createRetryAction(() => this.removeFromReadingList(url))
+            });
+        }
+    }
+
+    async setReadingItemRead(url, read = true) {
+        try {
+            if (!await this.readingList.setRead(url, read)) return false;
+            this.refreshCurrentView();
+            return true;
+        } catch (error) {
+            console.error('Error updating reading list:', error);
+            this.showErrorMessage('Failed to update reading list', {
+                action: this.createRetryAction(() => this.setReadingItemRead(url, read))
+            });
+            return false;
+        }
+    }
+
+    // The toggle button; opening an item only marks it read, quietly
+    async toggleReadingItemRead(url) {
+        const item = this.readingList.items.find(entry => entry.url === url);
+        if (!item) return;
+
+        const read = !item.hasBeenRead;
+        if (!await this.setReadingItemRead(url, read)) return;
+        this.showInfoMessage(read ? 'Marked as read' : 'Marked as unread', {
+            action: { label: 'Undo', handler: () => this.setReadingItemRead(url, !read) }
+        });
+    }
+
+    async snoozeReadingItem(url, until) {
+        const item = this.readingList.items.find(entry => entry.url === url);
+        if (!item) return;
+
+        try {
+            await this.snoozes.snooze(url, item.title, until);
+            this.refreshCurrentView();
+            this.scheduleSnoozeRefresh();
+            this.showInfoMessage(`Snoozed until ${this.snoozes.formatTime(until)}`, {
+                action: { label: 'Undo', handler: () => this.wakeReadingItem(url) }
+            });
+        } catch (error) {
+            console.error('Error snoozing reading list item:', error);
+            this.showErrorMessage('Failed to snooze');
+        }
+    }
+
+    // Brings a snoozed item back now, or clears the "due" mark of one that is back
+    async wakeReadingItem(url) {
+        if (!await this.snoozes.clear(url)) return;
+        this.refreshCurrentView();
+        this.scheduleSnoozeRefresh();
+    }
+
+    getReadingItemSnooze(url) {
+        const snooze = this.snoozes.get(url);
+        if (!snooze) return null;
+        return { due: snooze.until <= Date.now(), label: this.snoozes.formatTime(snooze.until) };
+    }
+
+    // Snoozed items reappear on an open page when they come due; the background
+    // worker takes care of the notification
+    scheduleSnoozeRefresh() {
+        clearTimeout(this.snoozeTimer);
+        const next = this.snoozes.getNextWakeTime();
+        if (!next) return;
+
+        // Long timeouts overflow, so check at least once a day
+        const delay = Math.min(next - Date.now(), 24 * 60 * 60 * 1000);
+        this.snoozeTimer = setTimeout(() => {
+            this.refreshCurrentView();
+            this.scheduleSnoozeRefresh();
+        }, delay);
+    }
+
+    // Reading list items removed here or on another device leave no snooze or offline copy behind
+    pruneReadingData() {
+        if (!this.readingList.isLoaded) return;
+        
+        const urls = new Set(this.readingList.items.map(item => item.url));
+        this.snoozes.prune(urls);
+        this.snapshots.prune(urls).catch(error => console.error('Error removing offline copies:', error));
+    }
+
+    async saveOffline(url) {
+        try {
+            // Asked for before anything else, while the click still counts as a user gesture
+            if (!await this.snapshots.requestPermission(url)) {
+                this.showWarningMessage('Saving for offline needs access to the page');
+                return;
+            }
+
+            const saving = this.snapshots.save(url);
+            this.refreshCurrentView();
+            await saving;
+            this.showSuccessMessage('Saved for offline reading', {
+                action: { label: 'Read', handler: () => this.openOfflineCopy(url) }
+            });
+        } catch (error) {
+            console.error('Error saving for offline:', error);
+            this.showErrorMessage(`Failed to save for offline: ${error.message}`, {
+                action: this.createRetryAction(() => this.saveOffline(url))
+            });
+        } finally {
+            this.refreshCurrentView();
+        }
+    }
+
+    openOfflineCopy(url) {
+        window.open(`reader.html?url=${encodeURIComponent(url)}`, '_blank');
+    }
+
+    getOfflineState(url) {
+        if (this.snapshots.isSaving(url)) return 'saving';
+        return this.snapshots.has(url) ? 'saved' : null;
+    }
+
+    async clearOfflineCopies() {
+        try {
+            const { count } = this.snapshots.getUsage();
+            await this.snapshots.clear();
+            this.refreshCurrentView();
+            this.showSuccessMessage(`Deleted ${count} offline ${count === 1 ? 'copy' : 'copies'}`);
+        } catch (error) {
+            console.error('Error deleting offline copies:', error);
+            this.showErrorMessage('Failed to delete offline copies');
+        }
+    }
+
+    async setReadingListView(options) {
+        try {
+            await this.settings.save(options);
+            this.refreshCurrentView();
+        } catch (error) {
+            console.error('Error saving reading list view:', error);
         }
     }
 
     // Settings operations
     async updateSettings(newSettings) {
         try {
+            const remoteFavicons = this.settings.current.remoteFavicons;
             await this.settings.save(newSettings);
+            this.ui.webSearch?.updatePlaceholder();
+            
+            // Sites that had no icon locally may have one of their own
+            if (newSettings.remoteFavicons && remoteFavicons === false) {
+                await this.favicons.forgetMisses();
+                this.refreshCurrentView();
+            }
+            
+            const removed = await this.readingList.removeReadOlderThan(newSettings.readingAutoRemoveDays);
+            if (removed > 0) {
+                this.pruneReadingData();
+                this.refreshCurrentView();
+            }
             this.showSuccessMessage('Settings saved successfully!');
         } catch (error) {
             console.error('Error saving settings:', error);
@@ -180,11 +1003,46 @@ class VisualBookmarksApp {
         }
     }
 
+    // Cross-device sync
+    async setSyncEnabled(enabled) {
+        try {
+            await this.syncStorage.setEnabled(enabled);
+            this.refreshCurrentView();
+            this.showSuccessMessage(enabled ? 'Sync turned on' : 'Sync turned off. Changes now stay on this device.');
+        } catch (error) {
+            console.error('Error changing sync:', error);
+            this.showErrorMessage(`Failed to turn sync ${enabled ? 'on' : 'off'}`);
+            throw error;
+        }
+    }
+
+    isSyncEnabled() {
+        return this.syncStorage.enabled;
+    }
+
+    handleSyncError(error) {
+        if (error.name === 'QuotaError') {
+            this.showWarningMessage(`${error.message}. Those changes are saved on this device only.`);
+        } else {
+            this.showErrorMessage('Sync failed. Changes are saved on this device and will sync later.');
+        }
+    }
+
     // Data getter methods (optimized with caching where appropriate)
     getFavorites(query = '') {
         return this.bookmarks.getFavorites(query);
     }
 
+    getOrphanedFavorites() {
+        return this.bookmarks.getOrphanedFavorites();
+    }
+
+    cleanOrphanedFavorites() {
+        const removed = this.bookmarks.removeOrphanedFavorites();
+        this.refreshCurrentView();
+        this.showSuccessMessage(`Removed ${removed} missing ${removed === 1 ? 'favorite' : 'favorites'}`);
+    }
+
     getAllBookmarks(query = '') {
         return this.bookmarks.getAll(query);
     }
@@ -197,8 +1055,73 @@ class VisualBookmarksApp {
         return this.bookmarks.getFolderBookmarks(folderId, query);
     }
 
+    getSubfolders(parentId = null, query = '') {
+        return this.bookmarks.getSubfolders(parentId, query);
+    }
+
+    getFolderPath(folderId) {
+        return this.bookmarks.getFolderPath(folderId);
+    }
+
+    getParentFolder(folderId) {
+        return this.bookmarks.getParentFolder(folderId);
+    }
+
+    // Tags
+    getAllTags() {
+        return this.tags.getAllTags();
+    }
+
+    // Selected tags that are still in use
+    getSelectedTags() {
+        const names = this.tags.getTagNames();
+        this.selectedTags = this.selectedTags.filter(tag => names.includes(tag));
+        return this.selectedTags;
+    }
+
+    getTaggedBookmarks(tags, query = '') {
+        const bookmarks = this.tags.getTaggedIds(tags)
+            .map(id => this.bookmarks.getBookmark(id))
+            .filter(Boolean)
+            .sort((a, b) => (a.title || '').localeCompare(b.title || ''));
+        return this.bookmarks.filterBookmarks(bookmarks, query);
+    }
+
+    showTag(tag) {
+        this.selectedTags = [tag];
+        this.switchView('tags');
+    }
+
+    toggleTagFilter(tag) {
+        this.selectedTags = this.selectedTags.includes(tag) ?
+            this.selectedTags.filter(selected => selected !== tag) :
+            [...this.selectedTags, tag];
+        this.refreshCurrentView();
+    }
+
+    // Tags and notes of bookmarks deleted anywhere, including outside this page
+    pruneBookmarkData() {
+        const bookmarkIds = new Set(this.bookmarks.getAll().map(bookmark => bookmark.id));
+        // An empty tree means the bookmarks failed to load, not that they were all deleted
+        if (bookmarkIds.size === 0) return;
+        
+        this.tags.prune(bookmarkIds);
+        this.notes.prune(bookmarkIds);
+    }
+
+    // Reading list entries show the note of the bookmark with the same URL
+    getNoteForUrl(url) {
+        const bookmark = this.bookmarks.findByUrl(url).find(candidate => this.notes.get(candidate.id));
+        return bookmark ? this.notes.get(bookmark.id) : '';
+    }
+
     getReadingList(query = '') {
-        return this.readingList.getAll(query);
+        const { readingFilter, readingSort } = this.settings.current;
+        return this.readingList.getAll(query, { filter: readingFilter, sort: readingSort });
+    }
+
+    getUnreadCount() {
+        return this.readingList.getUnreadCount();
     }
 
     getCurrentSettings() {
@@ -207,17 +1130,39 @@ class VisualBookmarksApp {
 
     // Utility methods
     refreshCurrentView() {
-        this.ui.updateDisplay(this.currentView, this.currentFolder);
+        // Folder objects are rebuilt on reload, so look the open folder up again
+        if (this.currentFolder) {
+            this.currentFolder = this.bookmarks.getFolder(this.currentFolder.id) || null;
+        }
+        if (this.currentView === 'folder-view' && !this.currentFolder) {
+            this.currentView = 'folders';
+        }
+        if (this.currentQuery.trim()) {
+            this.ui.showSearchResults(this.currentQuery);
+        } else {
+            this.ui.switchTab(this.currentView, this.currentFolder);
+        }
+    }
+
+    showSuccessMessage(message, options = {}) {
+        this.ui.showNotification(message, 'success', options);
     }
 
-    showSuccessMessage(message) {
-        // Could be enhanced with toast notifications
-        console.log('SUCCESS:', message);
+    showInfoMessage(message, options = {}) {
+        this.ui.showNotification(message, 'info', options);
     }
 
-    showErrorMessage(message) {
+    showWarningMessage(message, options = {}) {
+        this.ui.showNotification(message, 'warning', options);
+    }
+
+    showErrorMessage(message, options = {}) {
         console.error('ERROR:', message);
-        // Simple alert for now - could be enhanced with toast notifications
+        this.ui.showNotification(message, 'error', options);
+    }
+
+    createRetryAction(handler) {
+        return { label: 'Retry', handler };
     }
 
     // Performance utility - debounce function
@@ -235,6 +1180,11 @@ class VisualBookmarksApp {
 
     // Cleanup method
     destroy() {
+        this.bookmarks?.stopLiveSync();
+        this.linkHealth?.cancel();
+        this.syncStorage?.destroy();
+        this.settings?.destroy();
+        this.commands?.destroy();
         this.ui?.destroy();
         this.debouncedSearch = null;
     }